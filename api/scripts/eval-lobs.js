@@ -0,0 +1,141 @@
+/**
+ * Lob Parser Eval CLI
+ *
+ * Runs the fixtures in test/fixtures through parseLob and prints a
+ * scorecard. Repeat --provider and/or --prompt to compare variants side by
+ * side (every provider is run with every prompt).
+ *
+ * Usage:
+ *   npm run eval
+ *   npm run eval -- --provider groq --provider mistral
+ *   npm run eval -- --prompt prompts/candidate.txt --out eval-report.json
+ *   npm run eval -- --set jeff_lobs --id jeff_1 --id jeff_4
+ *
+ * Options:
+ *   --provider <spec>     Provider chain for a variant ("groq", "mistral:mistral-large-latest")
+ *   --prompt <file>       System prompt file for a variant ("default" = LOB_PARSER_PROMPT)
+ *   --set <name>          Only this fixture file (jeff_lobs, edge_cases)
+ *   --id <id>             Only this fixture
+ *   --out <file>          Write the JSON report to a file
+ *   --min-pass-rate <n>   Exit 1 if any variant's pass rate is below n (0-1)
+ *   --no-cache            Always call the model (cached parses skew latency comparisons)
+ */
+
+import 'dotenv/config';
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { runEval } from '../src/lib/lob-eval.js';
+
+const { values: args } = parseArgs({
+  options: {
+    provider: { type: 'string', multiple: true },
+    prompt: { type: 'string', multiple: true },
+    set: { type: 'string', multiple: true },
+    id: { type: 'string', multiple: true },
+    out: { type: 'string' },
+    'min-pass-rate': { type: 'string' },
+    'no-cache': { type: 'boolean' },
+  },
+});
+
+/**
+ * Build the variants to compare from --provider and --prompt
+ */
+async function buildVariants() {
+  const providers = args.provider || [null];
+  const prompts = args.prompt || [null];
+  const variants = [];
+
+  for (const provider of providers) {
+    for (const promptFile of prompts) {
+      const prompt = promptFile && promptFile !== 'default'
+        ? await readFile(promptFile, 'utf8')
+        : undefined;
+      const name = [
+        provider || process.env.AI_ROUTE_LOGIC || process.env.AI_PROVIDER_CHAIN
+          || process.env.AI_PROVIDER || 'default',
+        prompts.length > 1 && (promptFile ? basename(promptFile) : 'default'),
+      ].filter(Boolean).join(' + ');
+
+      variants.push({ name, provider, prompt });
+    }
+  }
+
+  return variants;
+}
+
+function percent(value) {
+  return value == null ? '  n/a' : `${(value * 100).toFixed(0).padStart(4)}%`;
+}
+
+function printVariant(variant) {
+  const { summary } = variant;
+
+  console.log(`\n=== ${variant.name} ===`);
+  console.log(
+    `Passed ${summary.passed}/${summary.fixtures} (${percent(summary.passRate).trim()}), ` +
+    `task count accuracy ${percent(summary.taskCountAccuracy).trim()}, errors ${summary.errors}`
+  );
+  console.log(
+    `Latency: mean ${summary.latencyMs.mean ?? 'n/a'}ms, p50 ${summary.latencyMs.p50 ?? 'n/a'}ms, ` +
+    `max ${summary.latencyMs.max ?? 'n/a'}ms` +
+    (summary.cacheHits ? ` (${summary.cacheHits} served from the parse cache)` : '') +
+    (summary.filtered ? `, ${summary.filtered} caught by the noise filter` : '')
+  );
+  if (summary.usage.reported > 0) {
+    console.log(
+      `Tokens: ${summary.usage.inputTokens} in / ${summary.usage.outputTokens} out, ` +
+      `est. cost $${summary.usage.cost.toFixed(4)}`
+    );
+  }
+
+  console.log('\nClassification   precision  recall');
+  for (const [classification, metrics] of Object.entries(summary.classifications)) {
+    console.log(
+      `  ${classification.padEnd(14)} ${percent(metrics.precision).padStart(9)} ${percent(metrics.recall).padStart(7)}`
+    );
+  }
+}
+
+async function main() {
+  const variants = await buildVariants();
+
+  const report = await runEval({
+    variants,
+    sets: args.set || null,
+    ids: args.id || null,
+    cache: !args['no-cache'],
+    onResult: (variant, result) => {
+      const status = result.pass ? 'PASS' : 'FAIL';
+      const detail = result.error || result.failures.join('; ');
+      console.log(`[${variant.name}] ${status} ${result.id} - ${result.name}${detail ? ` (${detail})` : ''}`);
+    },
+  });
+
+  report.variants.forEach(printVariant);
+
+  if (report.comparison) {
+    console.log('\n=== Comparison ===');
+    for (const [name, passRate] of Object.entries(report.comparison.passRate)) {
+      console.log(`  ${name}: ${percent(passRate).trim()}`);
+    }
+    console.log(`  Disagree on: ${report.comparison.disagreements.join(', ') || 'none'}`);
+  }
+
+  if (args.out) {
+    await writeFile(args.out, JSON.stringify(report, null, 2) + '\n');
+    console.log(`\nReport written to ${args.out}`);
+  }
+
+  const minPassRate = parseFloat(args['min-pass-rate']);
+  if (!Number.isNaN(minPassRate) && report.variants.some(v => v.summary.passRate < minPassRate)) {
+    console.error(`\nPass rate below ${minPassRate}`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Eval failed:', error);
+  process.exit(1);
+});
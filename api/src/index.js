@@ -8,6 +8,9 @@ import { health } from './routes/health.js';
 import { tasksRouter } from './routes/tasks.js';
 import { routingRouter } from './routes/routing.js';
 import { brainRouter } from './routes/brain.js';
+import { usageRouter } from './routes/usage.js';
+import { promptsRouter } from './routes/prompts.js';
+import { ventingRouter } from './routes/venting.js';
 
 const app = new Hono();
 
@@ -20,6 +23,9 @@ app.route('/api/lob', lobCatcher);
 app.route('/api/tasks', tasksRouter);
 app.route('/api/routing', routingRouter);
 app.route('/api/brain', brainRouter);
+app.route('/api/usage', usageRouter);
+app.route('/api/prompts', promptsRouter);
+app.route('/api/venting', ventingRouter);
 
 // Start server
 const port = process.env.PORT || 3000;
@@ -0,0 +1,322 @@
+/**
+ * AI Budgets and Rate Limits
+ *
+ * Stops one workspace (or one sender lobbing in a loop) from burning the
+ * provider quota every tenant shares. Three limits apply, per workspace
+ * and per sender within it:
+ * - requestsPerMinute: sliding one-minute window
+ * - tokensPerDay: input + output tokens since midnight UTC
+ * - dollarsPerMonth: estimated cost since the 1st of the month (UTC)
+ *
+ * Limits live on the workspace record (`ai_limits`):
+ *   {
+ *     "workspace": { "requestsPerMinute": 60, "tokensPerDay": 2000000, "dollarsPerMonth": 50 },
+ *     "sender": { "requestsPerMinute": 10, "tokensPerDay": 200000 },
+ *     "warnAt": 0.8
+ *   }
+ * with environment defaults (AI_LIMIT_*, AI_LIMIT_SENDER_*) for anything
+ * not set. A missing limit means unlimited. Past `warnAt` of a limit,
+ * responses carry an X-AI-Budget-Warning header; at the limit they are 429.
+ *
+ * Token and dollar totals come from the ai_usage collection (see
+ * usage-tracker.js), cached in memory and topped up as calls are recorded.
+ * Request windows are in-memory, so they are per API instance.
+ */
+
+import { aiUsage, workspaces } from './pocketbase.js';
+
+export const LIMIT_NAMES = ['requestsPerMinute', 'tokensPerDay', 'dollarsPerMonth'];
+
+const MINUTE_MS = 60 * 1000;
+const requestWindows = new Map();
+const spendCache = new Map();
+
+function numberFromEnv(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? null : value;
+}
+
+function envLimits(prefix) {
+  return {
+    requestsPerMinute: numberFromEnv(`${prefix}_REQUESTS_PER_MINUTE`),
+    tokensPerDay: numberFromEnv(`${prefix}_TOKENS_PER_DAY`),
+    dollarsPerMonth: numberFromEnv(`${prefix}_DOLLARS_PER_MONTH`),
+  };
+}
+
+/**
+ * Effective limits for a workspace (its ai_limits over the env defaults)
+ * @param {object|null} workspaceRecord - From workspaces.find()
+ */
+export function getLimits(workspaceRecord) {
+  const configured = workspaceRecord?.ai_limits || {};
+
+  return {
+    workspace: { ...envLimits('AI_LIMIT'), ...configured.workspace },
+    sender: { ...envLimits('AI_LIMIT_SENDER'), ...configured.sender },
+    warnAt: configured.warnAt ?? numberFromEnv('AI_LIMIT_WARN_AT') ?? 0.8,
+  };
+}
+
+function workspaceKey(workspaceId) {
+  return `workspace:${workspaceId || 'default'}`;
+}
+
+function senderKey(workspaceId, sender) {
+  return `sender:${workspaceId || 'default'}:${sender}`;
+}
+
+// Day and month boundaries are UTC, as timestamps (ms)
+function startOfDay(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function startOfMonth(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+function startOfNextMonth(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+/**
+ * Requests in the last minute (expired entries are dropped)
+ */
+function recentRequests(key, now) {
+  const window = (requestWindows.get(key) || []).filter(time => time > now - MINUTE_MS);
+  requestWindows.set(key, window);
+  return window;
+}
+
+/**
+ * Tokens today and dollars this month for a scope, cached for AI_LIMIT_CACHE_MS
+ */
+async function getSpend(key, filter, now) {
+  const cacheMs = numberFromEnv('AI_LIMIT_CACHE_MS') ?? 60000;
+  const dayStart = startOfDay(now);
+  const cached = spendCache.get(key);
+
+  // A new day (or month) starts from zero, so the cache can't carry over
+  if (cached && now - cached.loadedAt < cacheMs && cached.dayStart === dayStart) {
+    return cached;
+  }
+
+  // PocketBase stores dates as "YYYY-MM-DD HH:MM:SS.sssZ"
+  const monthStart = new Date(startOfMonth(now)).toISOString().replace('T', ' ');
+  const records = await aiUsage.list(`${filter} && created >= "${monthStart}"`);
+  const spend = { loadedAt: now, dayStart, tokensToday: 0, dollarsThisMonth: 0 };
+
+  for (const record of records) {
+    spend.dollarsThisMonth += record.cost || 0;
+    if (Date.parse(record.created.replace(' ', 'T')) >= dayStart) {
+      spend.tokensToday += (record.input_tokens || 0) + (record.output_tokens || 0);
+    }
+  }
+
+  spendCache.set(key, spend);
+  return spend;
+}
+
+/**
+ * Compare one scope's usage against its limits
+ */
+async function checkScope({ scope, key, filter, limits, warnAt, now }) {
+  const usage = { requestsPerMinute: recentRequests(key, now).length };
+
+  if (limits.tokensPerDay != null || limits.dollarsPerMonth != null) {
+    const spend = await getSpend(key, filter, now);
+    usage.tokensPerDay = spend.tokensToday;
+    usage.dollarsPerMonth = Math.round(spend.dollarsThisMonth * 1e4) / 1e4;
+  }
+
+  const remaining = {};
+  const warnings = [];
+  let exceeded = null;
+
+  for (const name of LIMIT_NAMES) {
+    const limit = limits[name];
+    if (limit == null) continue;
+
+    const used = usage[name] ?? 0;
+    remaining[name] = Math.max(0, Math.round((limit - used) * 1e4) / 1e4);
+
+    if (used >= limit && !exceeded) {
+      exceeded = { scope, limit: name, used, max: limit, retryAfter: retryAfterSeconds(name, key, now) };
+    } else if (used >= limit * warnAt) {
+      warnings.push(`${scope} ${name} at ${Math.round((used / limit) * 100)}%`);
+    }
+  }
+
+  return { exceeded, warnings, remaining };
+}
+
+/**
+ * Seconds until a limit frees up
+ */
+function retryAfterSeconds(limitName, key, now) {
+  let until;
+  if (limitName === 'requestsPerMinute') {
+    // A limit of 0 is hit with nothing in the window
+    const [oldest = now] = recentRequests(key, now);
+    until = oldest + MINUTE_MS;
+  } else if (limitName === 'tokensPerDay') {
+    until = startOfDay(now) + 24 * 60 * MINUTE_MS;
+  } else {
+    until = startOfNextMonth(now);
+  }
+  return Math.max(1, Math.ceil((until - now) / 1000));
+}
+
+/**
+ * Check (and, if allowed, count) an AI request against the budgets
+ *
+ * @param {object} options
+ * @param {object|null} options.workspaceRecord - From workspaces.find()
+ * @param {string} options.workspaceId - Workspace ID (or 'default')
+ * @param {string} options.sender - Who sent the lob (sender limits are skipped without one)
+ * @param {boolean} options.count - Count this request in the per-minute window (default true)
+ * @returns {Promise<{allowed, exceeded, warnings, remaining}>}
+ */
+export async function checkBudget({ workspaceRecord = null, workspaceId, sender, count = true }) {
+  const limits = getLimits(workspaceRecord);
+  const now = Date.now();
+  const usageWorkspace = workspaceRecord?.id || '';
+
+  const scopes = [{
+    scope: 'workspace',
+    key: workspaceKey(workspaceId),
+    filter: `workspace = "${usageWorkspace}"`,
+    limits: limits.workspace,
+  }];
+  if (sender) {
+    scopes.push({
+      scope: 'sender',
+      key: senderKey(workspaceId, sender),
+      filter: `workspace = "${usageWorkspace}" && sender = "${sender}"`,
+      limits: limits.sender,
+    });
+  }
+
+  const result = { allowed: true, exceeded: null, warnings: [], remaining: {} };
+  for (const scope of scopes) {
+    const { exceeded, warnings, remaining } = await checkScope({ ...scope, warnAt: limits.warnAt, now });
+    result.remaining[scope.scope] = remaining;
+    result.warnings.push(...warnings);
+    if (exceeded && !result.exceeded) {
+      result.allowed = false;
+      result.exceeded = exceeded;
+    }
+  }
+
+  if (result.allowed && count) {
+    for (const scope of scopes) {
+      recentRequests(scope.key, now).push(now);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Add a recorded call to the cached totals so limits apply before the next reload
+ */
+export function noteUsage({ workspace, sender }, { tokens = 0, cost = 0 }) {
+  const workspaceId = workspace || 'default';
+  const keys = [workspaceKey(workspaceId), ...(sender ? [senderKey(workspaceId, sender)] : [])];
+
+  for (const key of keys) {
+    const spend = spendCache.get(key);
+    if (spend) {
+      spend.tokensToday += tokens;
+      spend.dollarsThisMonth += cost;
+    }
+  }
+}
+
+/**
+ * Answer a request the budget doesn't allow: 429 with Retry-After
+ * Within budget, a warning close to a limit goes in X-AI-Budget-Warning.
+ * For routes that only know the workspace once they've loaded a record
+ * (e.g. a task's), and so check the budget themselves.
+ *
+ * @param {object} c - Hono context
+ * @param {object} budget - From checkBudget()
+ * @param {string} workspaceId - For the warning log
+ * @returns {Response|null} The 429 response, or null to carry on
+ */
+export function budgetExceededResponse(c, budget, workspaceId = null) {
+  if (!budget.allowed) {
+    const { exceeded } = budget;
+    c.header('Retry-After', String(exceeded.retryAfter));
+    return c.json({
+      error: 'AI budget exceeded',
+      details: `${exceeded.scope} ${exceeded.limit} limit reached (${exceeded.used} of ${exceeded.max})`,
+      scope: exceeded.scope,
+      limit: exceeded.limit,
+      retryAfter: exceeded.retryAfter,
+      remaining: budget.remaining,
+    }, 429);
+  }
+
+  if (budget.warnings.length > 0) {
+    console.warn(`AI budget warning (${workspaceId || 'default'}): ${budget.warnings.join('; ')}`);
+    c.header('X-AI-Budget-Warning', budget.warnings.join('; '));
+  }
+
+  return null;
+}
+
+/**
+ * Hono middleware enforcing the budgets on an AI endpoint
+ *
+ * Reads workspace and sender from the JSON body, from the form fields of
+ * multipart requests (lobs with images), or from the query string
+ * (/transcribe). Over budget: 429 with Retry-After.
+ */
+export function aiBudgetGuard() {
+  return async (c, next) => {
+    const contentType = c.req.header('Content-Type') || '';
+    let body = {};
+    // Hono caches the parsed body, so the route can still read it
+    if (contentType.includes('application/json')) {
+      body = await c.req.json().catch(() => ({}));
+    } else if (contentType.includes('multipart/form-data')) {
+      const form = await c.req.formData().catch(() => null);
+      body = { workspace: form?.get('workspace'), sender: form?.get('sender') };
+    }
+    const scope = {
+      workspace: (typeof body.workspace === 'string' && body.workspace) || c.req.query('workspace'),
+      sender: (typeof body.sender === 'string' && body.sender) || c.req.query('sender'),
+    };
+
+    let budget;
+    try {
+      budget = await checkBudget({
+        workspaceRecord: await workspaces.find(scope.workspace),
+        workspaceId: scope.workspace,
+        sender: scope.sender,
+      });
+    } catch (error) {
+      // Budgets protect the quota; an accounting outage shouldn't take parsing down with it
+      console.error('Budget check failed, allowing request:', error);
+      return next();
+    }
+
+    const overBudget = budgetExceededResponse(c, budget, scope.workspace);
+    if (overBudget) return overBudget;
+
+    await next();
+  };
+}
+
+export default {
+  LIMIT_NAMES,
+  getLimits,
+  checkBudget,
+  noteUsage,
+  budgetExceededResponse,
+  aiBudgetGuard,
+};
@@ -23,8 +23,43 @@
  * - gemini: Google Gemini API (2M context window - best for archives)
  * - fireworks: Fireworks AI (has reliability concerns per research)
  * - deepseek: DeepSeek direct (NOT RECOMMENDED - data goes to China)
+ * - ollama: Local Ollama server (fully offline, no API key)
+ * - local: Any OpenAI-compatible localhost server - llama.cpp, LM Studio, vLLM (no API key)
+ * - replay: Serves recorded responses from cassettes (deterministic tests, see cassettes.js)
+ *
+ * Fallback chain: set AI_PROVIDER_CHAIN=mistral,groq,together to try providers
+ * in order. Each provider gets a timeout, retries with backoff on 429/5xx,
+ * and a circuit breaker that skips it for a cool-down after repeated failures.
+ *
+ * Task-type routing: callers pass taskType ('logic', 'creative', 'archival', 'vision')
+ * and each type can be sent to its own provider/model, e.g.
+ *   AI_ROUTE_LOGIC=groq
+ *   AI_ROUTE_CREATIVE=anthropic
+ *   AI_ROUTE_ARCHIVAL=gemini:gemini-1.5-pro
+ * Workspaces can override these with the `ai_routes` field.
+ *
+ * Images: a message's content can be a list of parts instead of a string -
+ * { type: 'text', text } and { type: 'image', mimeType, data } (base64) -
+ * converted to each provider's own format. Calls with images only go to
+ * providers that can read them (openai, anthropic, gemini, plus anything
+ * listed in AI_VISION_PROVIDERS, e.g. "ollama:llava"); the rest of the
+ * chain is skipped, and ProviderCapabilityError is thrown if nothing is
+ * left. The 'vision' task type routes image captioning (see lob-images.js).
+ *
+ * Usage: every completion's metadata carries { inputTokens, outputTokens, cost },
+ * with cost estimated from PROVIDER_PRICING.
  */
 
+import { getCircuitBreaker, getCircuitStates } from './circuit-breaker.js';
+import {
+  CassetteMissError,
+  cassetteKey,
+  getCassetteSettings,
+  loadCassette,
+  saveCassette,
+  withCassette,
+} from './cassettes.js';
+
 // Provider configurations
 const PROVIDER_CONFIGS = {
   // === RECOMMENDED FOR DEVELOPMENT ===
@@ -76,6 +111,7 @@ const PROVIDER_CONFIGS = {
     defaultModel: 'gpt-4o',
     envKey: 'OPENAI_API_KEY',
     type: 'openai-compatible',
+    supportsVision: true,
   },
 
   anthropic: {
@@ -83,6 +119,7 @@ const PROVIDER_CONFIGS = {
     defaultModel: 'claude-sonnet-4-20250514',
     envKey: 'ANTHROPIC_API_KEY',
     type: 'anthropic',
+    supportsVision: true,
     notes: 'Best for creative/narrative prose',
   },
 
@@ -91,6 +128,7 @@ const PROVIDER_CONFIGS = {
     defaultModel: 'gemini-1.5-pro',
     envKey: 'GEMINI_API_KEY',
     type: 'gemini',
+    supportsVision: true,
     notes: '2M token context - best for archives/long documents',
   },
 
@@ -112,14 +150,216 @@ const PROVIDER_CONFIGS = {
     type: 'openai-compatible',
     notes: 'WARNING: Data stored in China with government access. Use deepinfra instead.',
   },
+
+  // === LOCAL / OFFLINE (no data leaves your network) ===
+  ollama: {
+    baseUrl: 'http://localhost:11434',
+    baseUrlEnv: 'OLLAMA_BASE_URL',
+    defaultModel: 'llama3.1:8b',
+    envKey: null,
+    type: 'ollama',
+    local: true,
+    timeoutMs: 120000, // Local models on modest hardware are slow
+    notes: 'Runs fully offline. Install from ollama.com and `ollama pull llama3.1:8b`',
+  },
+
+  local: {
+    baseUrl: 'http://localhost:8080/v1',
+    baseUrlEnv: 'LOCAL_AI_BASE_URL',
+    defaultModel: 'local-model',
+    envKey: null,
+    optionalEnvKey: 'LOCAL_AI_API_KEY',
+    type: 'openai-compatible',
+    local: true,
+    // llama.cpp, LM Studio and vLLM disagree on response_format - rely on the
+    // prompt and lenient parsing instead
+    supportsJsonMode: false,
+    timeoutMs: 120000,
+    notes: 'OpenAI-compatible localhost server (llama.cpp, LM Studio, vLLM). Runs fully offline.',
+  },
+
+  // === TESTING ===
+  replay: {
+    baseUrl: null,
+    defaultModel: 'cassette',
+    envKey: null,
+    type: 'replay',
+    supportsVision: true, // Serves whatever was recorded
+    notes: 'Serves recorded responses for deterministic tests. ' +
+      'Record with CASSETTE_MODE=record AI_REPLAY_UPSTREAM=<real provider>',
+  },
+};
+
+/**
+ * Estimated list prices in USD per 1M tokens
+ * `default` covers any model not listed. Free tiers aren't modelled - this
+ * is what the same traffic would cost on a paid plan.
+ */
+const PROVIDER_PRICING = {
+  mistral: {
+    default: { input: 0.2, output: 0.6 },
+    'mistral-large-latest': { input: 2, output: 6 },
+  },
+  deepinfra: {
+    default: { input: 0.5, output: 2.15 },
+    'meta-llama/Llama-3.3-70B-Instruct': { input: 0.23, output: 0.4 },
+  },
+  openrouter: { default: { input: 0.55, output: 2.19 } },
+  together: { default: { input: 1.25, output: 1.25 } },
+  groq: {
+    default: { input: 0.59, output: 0.79 },
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  },
+  openai: {
+    default: { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  },
+  anthropic: { default: { input: 3, output: 15 } },
+  gemini: { default: { input: 2.5, output: 10 } },
+  fireworks: { default: { input: 3, output: 8 } },
+  deepseek: { default: { input: 0.27, output: 1.1 } },
+  ollama: { default: { input: 0, output: 0 } },
+  local: { default: { input: 0, output: 0 } },
+  replay: { default: { input: 0, output: 0 } },
 };
 
 /**
- * Get the configured provider from environment
+ * Estimate the cost of a call in USD
+ * @returns {number|null} null when there is no price for the provider
  */
-function getProviderConfig() {
+export function estimateCost(providerName, model, usage) {
+  const pricing = PROVIDER_PRICING[providerName];
+  if (!pricing || !usage) return null;
+
+  const price = pricing[model] || pricing.default;
+  const cost = ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Normalize a provider's token counts to { inputTokens, outputTokens }
+ * Returns null when the provider didn't report usage.
+ */
+function tokenUsage(inputTokens, outputTokens) {
+  if (inputTokens == null && outputTokens == null) return null;
+  return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+}
+
+/**
+ * Usage for the metadata of a call, with its estimated cost
+ */
+function usageWithCost(metadata, usage) {
+  if (!usage) return null;
+  return { ...usage, cost: estimateCost(metadata.provider, metadata.model, usage) };
+}
+
+/**
+ * Sum the usage of several calls (e.g. a JSON repair round-trip)
+ */
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return usage;
+
+  return {
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    cost: total.cost == null || usage.cost == null ? null : total.cost + usage.cost,
+  };
+}
+
+/**
+ * Task types callers can route on
+ */
+export const TASK_TYPES = ['logic', 'creative', 'archival', 'vision'];
+
+/**
+ * Parse a route spec into chain entries
+ * "groq:llama-3.3-70b-versatile,together" -> [{ name: 'groq', model: 'llama-3.3-70b-versatile' }, { name: 'together', model: null }]
+ */
+function parseRouteSpec(spec) {
+  const entries = Array.isArray(spec) ? spec : String(spec || '').split(',');
+
+  return entries
+    .map(entry => String(entry).trim())
+    .filter(Boolean)
+    .map((entry) => {
+      // Model names can contain ':' themselves (e.g. "llama3.1:8b")
+      const [name, ...model] = entry.split(':');
+      return { name: name.trim().toLowerCase(), model: model.join(':').trim() || null };
+    });
+}
+
+/**
+ * Default chain when no task-type route applies
+ * AI_PROVIDER_CHAIN takes precedence over the single AI_PROVIDER setting.
+ */
+function getDefaultChain() {
+  const chain = parseRouteSpec(process.env.AI_PROVIDER_CHAIN);
+
+  if (chain.length > 0) {
+    return chain;
+  }
+
   // Default to Mistral (free tier) if not specified
-  const providerName = (process.env.AI_PROVIDER || 'mistral').toLowerCase();
+  return parseRouteSpec(process.env.AI_PROVIDER || 'mistral');
+}
+
+/**
+ * Get the ordered list of providers to try for a call
+ *
+ * Precedence: workspace route for the task type, then AI_ROUTE_<TASKTYPE>,
+ * then the default chain. An explicit model override only applies to the
+ * first provider - the fallbacks can't run another provider's model.
+ *
+ * @returns {{chain: Array<{name, model}>, source: string}}
+ */
+function resolveProviderChain({ taskType, routes, model } = {}) {
+  const { chain, source } = routedChain({ taskType, routes });
+  if (!model) {
+    return { chain, source };
+  }
+
+  const [primary, ...fallbacks] = chain;
+  return { chain: [{ ...primary, model }, ...fallbacks], source };
+}
+
+/**
+ * The configured chain for a task type, before any model override
+ */
+function routedChain({ taskType, routes }) {
+  if (taskType) {
+    const workspaceChain = parseRouteSpec(routes?.[taskType]);
+    if (workspaceChain.length > 0) {
+      return { chain: workspaceChain, source: 'workspace' };
+    }
+
+    const envChain = parseRouteSpec(process.env[`AI_ROUTE_${taskType.toUpperCase()}`]);
+    if (envChain.length > 0) {
+      return { chain: envChain, source: 'env' };
+    }
+  }
+
+  return { chain: getDefaultChain(), source: 'default' };
+}
+
+/**
+ * Resolve the model for a provider
+ * An explicit route model wins; AI_MODEL only overrides the primary default
+ * provider - everything else uses its own default model.
+ */
+function resolveModel(providerName, model = null) {
+  if (model) {
+    return model;
+  }
+
+  const isPrimary = providerName === getDefaultChain()[0].name;
+  return (isPrimary && process.env.AI_MODEL) || PROVIDER_CONFIGS[providerName]?.defaultModel || null;
+}
+
+/**
+ * Get the config for a provider (the primary provider if none is given)
+ */
+function getProviderConfig(providerName = getDefaultChain()[0].name, model = null) {
   const config = PROVIDER_CONFIGS[providerName];
 
   if (!config) {
@@ -129,8 +369,10 @@ function getProviderConfig() {
     );
   }
 
-  // Check for API key
-  const apiKey = config.envKey ? process.env[config.envKey] : null;
+  // Check for API key (local providers don't need one)
+  const apiKey = config.envKey
+    ? process.env[config.envKey]
+    : (config.optionalEnvKey && process.env[config.optionalEnvKey]) || null;
   if (config.envKey && !apiKey) {
     throw new Error(
       `Missing API key for ${providerName}. ` +
@@ -150,16 +392,141 @@ function getProviderConfig() {
   return {
     name: providerName,
     ...config,
+    baseUrl: (config.baseUrlEnv && process.env[config.baseUrlEnv]) || config.baseUrl,
     apiKey,
-    model: process.env.AI_MODEL || config.defaultModel,
+    model: resolveModel(providerName, model),
+    timeoutMs: parseInt(process.env[`${providerName.toUpperCase()}_TIMEOUT_MS`])
+      || parseInt(process.env.AI_PROVIDER_TIMEOUT_MS)
+      || config.timeoutMs
+      || 30000,
   };
 }
 
 /**
- * OpenAI-compatible chat completion
+ * Error from a provider call, carrying the HTTP status when there is one
+ */
+export class ProviderError extends Error {
+  constructor(message, { provider, status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Rate limits and server errors are worth retrying
+   */
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * Thrown when no provider in the chain can do what the call needs
+ * (e.g. read images)
+ */
+export class ProviderCapabilityError extends Error {
+  constructor(message, { capability, failures = [] } = {}) {
+    super(message);
+    this.name = 'ProviderCapabilityError';
+    this.capability = capability;
+    this.failures = failures;
+  }
+}
+
+/**
+ * Whether a provider (as returned by getProviderConfig) can read images
+ */
+function canReadImages(config) {
+  if (config.supportsVision) return true;
+
+  return parseRouteSpec(process.env.AI_VISION_PROVIDERS)
+    .some(entry => entry.name === config.name && (!entry.model || entry.model === config.model));
+}
+
+/**
+ * Whether a call for this task type will reach a provider that can read images
+ *
+ * @param {Object} options
+ * @param {string} options.taskType - Task type the call is routed on
+ * @param {Object} options.routes - Workspace routing overrides
+ */
+export function supportsVision({ taskType, routes } = {}) {
+  const { chain } = resolveProviderChain({ taskType, routes });
+
+  return chain.some(({ name, model }) => {
+    try {
+      return canReadImages(getProviderConfig(name, model));
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Whether any message carries an image part
+ */
+export function hasImages(messages) {
+  return messages.some(m => Array.isArray(m.content) && m.content.some(part => part.type === 'image'));
+}
+
+/**
+ * Message content as a list of parts
+ */
+function contentParts(content) {
+  return Array.isArray(content) ? content : [{ type: 'text', text: content ?? '' }];
+}
+
+/**
+ * Just the text of a message's content
+ */
+function contentText(content) {
+  return contentParts(content)
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n\n');
+}
+
+/**
+ * Build a ProviderError from a failed HTTP response
+ */
+async function httpError(config, label, response) {
+  const error = await response.text();
+  const retryAfter = response.headers.get('retry-after');
+  let retryAfterMs = null;
+
+  if (retryAfter) {
+    retryAfterMs = /^\d+$/.test(retryAfter)
+      ? parseInt(retryAfter) * 1000
+      : Math.max(0, new Date(retryAfter).getTime() - Date.now()) || null;
+  }
+
+  return new ProviderError(`${label} API error: ${response.status} - ${error}`, {
+    provider: config.name,
+    status: response.status,
+    retryAfterMs,
+  });
+}
+
+/**
+ * Message content in OpenAI's format - image parts become data URLs
+ * Providers that can't read images get plain text.
+ */
+function openaiContent(config, content) {
+  if (!Array.isArray(content)) return content;
+  if (!canReadImages(config)) return contentText(content);
+
+  return content.map(part => (part.type === 'image'
+    ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+    : { type: 'text', text: part.text }));
+}
+
+/**
+ * Build the fetch request for an OpenAI-compatible chat completion
  * Works with: Mistral, DeepInfra, OpenRouter, Together, Groq, OpenAI, Fireworks
  */
-async function openaiCompatibleCompletion(config, messages, options = {}) {
+function openaiCompatibleRequest(config, messages, options = {}) {
   const headers = {
     'Content-Type': 'application/json',
     ...(config.apiKey && { 'Authorization': `Bearer ${config.apiKey}` }),
@@ -171,115 +538,473 @@ async function openaiCompatibleCompletion(config, messages, options = {}) {
     headers['X-Title'] = 'Task Lob';
   }
 
-  const response = await fetch(`${config.baseUrl}/chat/completions`, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({
-      model: options.model || config.model,
-      messages,
-      temperature: options.temperature ?? 0.3,
-      max_tokens: options.maxTokens ?? 2000,
-      ...(options.jsonMode && { response_format: { type: 'json_object' } }),
-    }),
-  });
+  return {
+    url: `${config.baseUrl}/chat/completions`,
+    init: {
+      method: 'POST',
+      headers,
+      signal: options.signal,
+      body: JSON.stringify({
+        model: config.model,
+        messages: messages.map(m => ({ ...m, content: openaiContent(config, m.content) })),
+        temperature: options.temperature ?? 0.3,
+        max_tokens: options.maxTokens ?? 2000,
+        ...(options.jsonMode && config.supportsJsonMode !== false && {
+          response_format: { type: 'json_object' },
+        }),
+        ...(options.stream && { stream: true }),
+        // OpenAI only reports streaming usage when asked; the others always do
+        ...(options.stream && config.name === 'openai' && {
+          stream_options: { include_usage: true },
+        }),
+      }),
+    },
+  };
+}
+
+/**
+ * OpenAI-compatible chat completion
+ */
+async function openaiCompatibleCompletion(config, messages, options = {}) {
+  const { url, init } = openaiCompatibleRequest(config, messages, options);
+  const response = await fetch(url, init);
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`${config.name} API error: ${response.status} - ${error}`);
+    throw await httpError(config, config.name, response);
   }
 
   const data = await response.json();
-  return data.choices[0]?.message?.content;
+  return {
+    content: data.choices[0]?.message?.content,
+    usage: tokenUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens),
+  };
 }
 
 /**
- * Anthropic Claude chat completion
+ * OpenAI-compatible streaming completion - yields text deltas, returns usage
  */
-async function anthropicCompletion(config, messages, options = {}) {
+async function* openaiCompatibleStream(config, messages, options = {}) {
+  const { url, init } = openaiCompatibleRequest(config, messages, { ...options, stream: true });
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    throw await httpError(config, config.name, response);
+  }
+
+  let usage = null;
+  for await (const event of readServerSentEvents(response)) {
+    if (event.data === '[DONE]') break;
+
+    const data = JSON.parse(event.data);
+    const delta = data.choices?.[0]?.delta?.content;
+    if (delta) yield delta;
+    if (data.usage) usage = tokenUsage(data.usage.prompt_tokens, data.usage.completion_tokens);
+  }
+
+  return usage;
+}
+
+/**
+ * Build the fetch request for an Anthropic Claude chat completion
+ */
+function anthropicRequest(config, messages, options = {}) {
   const systemMessage = messages.find(m => m.role === 'system');
   const userMessages = messages.filter(m => m.role !== 'system');
 
-  const response = await fetch(`${config.baseUrl}/messages`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': config.apiKey,
-      'anthropic-version': '2023-06-01',
+  return {
+    url: `${config.baseUrl}/messages`,
+    init: {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      signal: options.signal,
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: options.maxTokens ?? 2000,
+        ...(systemMessage && { system: contentText(systemMessage.content) }),
+        messages: userMessages.map(m => ({
+          role: m.role === 'assistant' ? 'assistant' : 'user',
+          content: Array.isArray(m.content)
+            ? m.content.map(part => (part.type === 'image'
+              ? { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } }
+              : { type: 'text', text: part.text }))
+            : m.content,
+        })),
+        ...(options.stream && { stream: true }),
+      }),
     },
-    body: JSON.stringify({
-      model: options.model || config.model,
-      max_tokens: options.maxTokens ?? 2000,
-      ...(systemMessage && { system: systemMessage.content }),
-      messages: userMessages.map(m => ({
-        role: m.role === 'assistant' ? 'assistant' : 'user',
-        content: m.content,
-      })),
-    }),
-  });
+  };
+}
+
+/**
+ * Anthropic Claude chat completion
+ */
+async function anthropicCompletion(config, messages, options = {}) {
+  const { url, init } = anthropicRequest(config, messages, options);
+  const response = await fetch(url, init);
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Anthropic API error: ${response.status} - ${error}`);
+    throw await httpError(config, 'Anthropic', response);
   }
 
   const data = await response.json();
-  return data.content[0]?.text;
+  return {
+    content: data.content[0]?.text,
+    usage: tokenUsage(data.usage?.input_tokens, data.usage?.output_tokens),
+  };
 }
 
 /**
- * Google Gemini chat completion
+ * Anthropic Claude streaming completion - yields text deltas, returns usage
  */
-async function geminiCompletion(config, messages, options = {}) {
+async function* anthropicStream(config, messages, options = {}) {
+  const { url, init } = anthropicRequest(config, messages, { ...options, stream: true });
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    throw await httpError(config, 'Anthropic', response);
+  }
+
+  let inputTokens;
+  let outputTokens;
+  for await (const event of readServerSentEvents(response)) {
+    if (event.event === 'message_stop') break;
+
+    if (event.event === 'error') {
+      throw new Error(`Anthropic API error: ${event.data}`);
+    }
+
+    if (event.event === 'message_start') {
+      inputTokens = JSON.parse(event.data).message?.usage?.input_tokens;
+    } else if (event.event === 'message_delta') {
+      outputTokens = JSON.parse(event.data).usage?.output_tokens ?? outputTokens;
+    } else if (event.event === 'content_block_delta') {
+      const data = JSON.parse(event.data);
+      if (data.delta?.type === 'text_delta' && data.delta.text) {
+        yield data.delta.text;
+      }
+    }
+  }
+
+  return tokenUsage(inputTokens, outputTokens);
+}
+
+/**
+ * Build the fetch request for a Google Gemini chat completion
+ */
+function geminiRequest(config, messages, options = {}) {
   const systemMessage = messages.find(m => m.role === 'system');
   const userMessages = messages.filter(m => m.role !== 'system');
 
   const contents = userMessages.map(m => ({
     role: m.role === 'assistant' ? 'model' : 'user',
-    parts: [{ text: m.content }],
+    parts: contentParts(m.content).map(part => (part.type === 'image'
+      ? { inline_data: { mime_type: part.mimeType, data: part.data } }
+      : { text: part.text })),
   }));
 
-  const url = `${config.baseUrl}/models/${options.model || config.model}:generateContent?key=${config.apiKey}`;
+  const model = config.model;
+  const url = options.stream
+    ? `${config.baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${config.apiKey}`
+    : `${config.baseUrl}/models/${model}:generateContent?key=${config.apiKey}`;
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents,
-      ...(systemMessage && {
-        systemInstruction: { parts: [{ text: systemMessage.content }] },
+  return {
+    url,
+    init: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal: options.signal,
+      body: JSON.stringify({
+        contents,
+        ...(systemMessage && {
+          systemInstruction: { parts: [{ text: contentText(systemMessage.content) }] },
+        }),
+        generationConfig: {
+          temperature: options.temperature ?? 0.3,
+          maxOutputTokens: options.maxTokens ?? 2000,
+          ...(options.jsonMode && { responseMimeType: 'application/json' }),
+        },
       }),
-      generationConfig: {
-        temperature: options.temperature ?? 0.3,
-        maxOutputTokens: options.maxTokens ?? 2000,
-        ...(options.jsonMode && { responseMimeType: 'application/json' }),
-      },
-    }),
-  });
+    },
+  };
+}
+
+/**
+ * Google Gemini chat completion
+ */
+async function geminiCompletion(config, messages, options = {}) {
+  const { url, init } = geminiRequest(config, messages, options);
+  const response = await fetch(url, init);
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini API error: ${response.status} - ${error}`);
+    throw await httpError(config, 'Gemini', response);
   }
 
   const data = await response.json();
-  return data.candidates[0]?.content?.parts[0]?.text;
+  return {
+    content: data.candidates[0]?.content?.parts[0]?.text,
+    usage: tokenUsage(data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount),
+  };
 }
 
 /**
- * Main completion function - routes to appropriate provider
- *
- * @param {Array} messages - Array of {role, content} messages
- * @param {Object} options - Optional settings
- * @param {string} options.model - Override model
- * @param {number} options.temperature - Temperature (0-1)
- * @param {number} options.maxTokens - Max tokens to generate
- * @param {boolean} options.jsonMode - Request JSON output
- * @param {string} options.taskType - Task type for potential routing ('logic', 'creative', 'archival')
- * @returns {Promise<string>} - The completion text
+ * Google Gemini streaming completion - yields text deltas, returns usage
  */
-export async function completion(messages, options = {}) {
-  const config = getProviderConfig();
+async function* geminiStream(config, messages, options = {}) {
+  const { url, init } = geminiRequest(config, messages, { ...options, stream: true });
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    throw await httpError(config, 'Gemini', response);
+  }
+
+  let usage = null;
+  for await (const event of readServerSentEvents(response)) {
+    const data = JSON.parse(event.data);
+    const delta = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (delta) yield delta;
+    // Each chunk carries the running totals
+    if (data.usageMetadata) {
+      usage = tokenUsage(data.usageMetadata.promptTokenCount, data.usageMetadata.candidatesTokenCount);
+    }
+  }
+
+  return usage;
+}
+
+/**
+ * Build the fetch request for an Ollama chat completion (native API)
+ */
+function ollamaRequest(config, messages, options = {}) {
+  return {
+    url: `${config.baseUrl}/api/chat`,
+    init: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal: options.signal,
+      body: JSON.stringify({
+        model: config.model,
+        // Ollama takes images as a list of base64 strings beside the text
+        messages: messages.map((m) => {
+          const images = contentParts(m.content).filter(part => part.type === 'image');
+          return {
+            role: m.role,
+            content: contentText(m.content),
+            ...(images.length && canReadImages(config) && { images: images.map(part => part.data) }),
+          };
+        }),
+        stream: !!options.stream,
+        // Ollama's JSON mode constrains output to valid JSON
+        ...(options.jsonMode && { format: 'json' }),
+        options: {
+          temperature: options.temperature ?? 0.3,
+          num_predict: options.maxTokens ?? 2000,
+        },
+      }),
+    },
+  };
+}
+
+/**
+ * Ollama chat completion
+ */
+async function ollamaCompletion(config, messages, options = {}) {
+  const { url, init } = ollamaRequest(config, messages, options);
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    throw await httpError(config, 'Ollama', response);
+  }
+
+  const data = await response.json();
+  return {
+    content: data.message?.content,
+    usage: tokenUsage(data.prompt_eval_count, data.eval_count),
+  };
+}
+
+/**
+ * Ollama streaming completion - yields text deltas, returns usage
+ */
+async function* ollamaStream(config, messages, options = {}) {
+  const { url, init } = ollamaRequest(config, messages, { ...options, stream: true });
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    throw await httpError(config, 'Ollama', response);
+  }
+
+  for await (const data of readJsonLines(response)) {
+    if (data.error) {
+      throw new ProviderError(`Ollama API error: ${data.error}`, { provider: config.name });
+    }
+    if (data.message?.content) yield data.message.content;
+    if (data.done) return tokenUsage(data.prompt_eval_count, data.eval_count);
+  }
+
+  return null;
+}
+
+/**
+ * Cassette key for a completion request
+ * Only the inputs that shape the response are hashed - not the provider,
+ * so a cassette recorded against one provider replays under any chain.
+ */
+function replayKey(messages, options = {}) {
+  return cassetteKey(messages, replayRequestOptions(options));
+}
+
+/**
+ * Generation options recorded alongside a cassette
+ */
+function replayRequestOptions(options = {}) {
+  return {
+    model: options.model || null,
+    temperature: options.temperature ?? 0.3,
+    maxTokens: options.maxTokens ?? 2000,
+    jsonMode: !!options.jsonMode,
+  };
+}
 
+/**
+ * The real provider that replay records from (AI_REPLAY_UPSTREAM)
+ */
+function getReplayUpstream(config) {
+  const upstreamName = (process.env.AI_REPLAY_UPSTREAM || '').toLowerCase();
+
+  if (!upstreamName || upstreamName === 'replay') {
+    throw new Error(
+      'Recording cassettes needs a real provider. Set AI_REPLAY_UPSTREAM (e.g. mistral).'
+    );
+  }
+
+  // A model routed to replay is the one to record
+  const model = config.model !== PROVIDER_CONFIGS.replay.defaultModel ? config.model : null;
+  return getProviderConfig(upstreamName, model);
+}
+
+/**
+ * Replay chat completion - serves a recorded response, or records one
+ */
+async function replayCompletion(config, messages, options = {}) {
+  const cassette = await withCassette('completion', replayKey(messages, options), async () => {
+    const upstream = getReplayUpstream(config);
+    const { content, usage } = await callProvider(upstream, messages, options);
+
+    return {
+      provider: upstream.name,
+      model: upstream.model,
+      request: { messages, options: replayRequestOptions(options) },
+      response: content,
+      usage,
+    };
+  });
+
+  // Usage is what the recording cost upstream; replaying is free
+  return { content: cassette.response, usage: cassette.usage || null };
+}
+
+/**
+ * Replay streaming completion - replays a recording in small chunks,
+ * or streams from the upstream provider and records the result
+ */
+async function* replayStream(config, messages, options = {}) {
+  const key = replayKey(messages, options);
+  const { mode, strict } = getCassetteSettings();
+
+  if (mode !== 'record') {
+    const cassette = await loadCassette('completion', key);
+    if (cassette) {
+      const response = cassette.response || '';
+      for (let i = 0; i < response.length; i += 64) {
+        yield response.slice(i, i + 64);
+      }
+      return cassette.usage || null;
+    }
+    if (strict) throw new CassetteMissError('completion', key);
+  }
+
+  const upstream = getReplayUpstream(config);
+  const stream = streamProvider(upstream, messages, options);
+  let response = '';
+  let step;
+  while (!(step = await stream.next()).done) {
+    response += step.value;
+    yield step.value;
+  }
+
+  await saveCassette('completion', key, {
+    provider: upstream.name,
+    model: upstream.model,
+    request: { messages, options: replayRequestOptions(options) },
+    response,
+    usage: step.value || null,
+  });
+
+  return step.value || null;
+}
+
+/**
+ * Read a newline-delimited JSON response body (Ollama streaming)
+ */
+async function* readJsonLines(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield JSON.parse(line);
+    }
+  }
+
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
+
+/**
+ * Read a Server-Sent Events response body
+ * Yields { event, data } for each event in the stream.
+ */
+async function* readServerSentEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const dataLines = [];
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).trimStart());
+        }
+      }
+
+      if (dataLines.length > 0) {
+        yield { event, data: dataLines.join('\n') };
+      }
+    }
+  }
+}
+
+/**
+ * Call a single provider (no retries or fallback)
+ */
+function callProvider(config, messages, options) {
   switch (config.type) {
     case 'openai-compatible':
       return openaiCompatibleCompletion(config, messages, options);
@@ -287,43 +1012,396 @@ export async function completion(messages, options = {}) {
       return anthropicCompletion(config, messages, options);
     case 'gemini':
       return geminiCompletion(config, messages, options);
+    case 'ollama':
+      return ollamaCompletion(config, messages, options);
+    case 'replay':
+      return replayCompletion(config, messages, options);
     default:
       throw new Error(`Unknown provider type: ${config.type}`);
   }
 }
 
 /**
- * JSON completion - parses response as JSON
+ * Open a stream from a single provider (no retries or fallback)
+ */
+function streamProvider(config, messages, options) {
+  switch (config.type) {
+    case 'openai-compatible':
+      return openaiCompatibleStream(config, messages, options);
+    case 'anthropic':
+      return anthropicStream(config, messages, options);
+    case 'gemini':
+      return geminiStream(config, messages, options);
+    case 'ollama':
+      return ollamaStream(config, messages, options);
+    case 'replay':
+      return replayStream(config, messages, options);
+    default:
+      throw new Error(`Unknown provider type: ${config.type}`);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Backoff before the next retry - honours Retry-After when the provider sends it
+ */
+function backoffDelay(error, attempt) {
+  if (error.retryAfterMs) {
+    return Math.min(error.retryAfterMs, 30000);
+  }
+  return 500 * 2 ** attempt + Math.random() * 250;
+}
+
+/**
+ * Whether an error says the provider is unavailable (counts against its circuit)
+ */
+function isAvailabilityError(error) {
+  if (error instanceof ProviderError) {
+    return error.retryable;
+  }
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return true;
+  }
+  // fetch's network failure - any other TypeError is a bug, not an outage
+  return error.name === 'TypeError' && error.message === 'fetch failed' && error.cause != null;
+}
+
+/**
+ * Walk the provider chain until one provider succeeds
+ *
+ * `attempt(config)` is called for each available provider; retryable errors
+ * are retried with backoff, anything else moves on to the next provider.
+ * Returns { result, metadata } where metadata records who served the call.
+ */
+async function runWithFallback(attempt, options = {}) {
+  const { chain, source } = resolveProviderChain(options);
+  const configuredRetries = parseInt(process.env.AI_PROVIDER_RETRIES);
+  const maxRetries = Number.isNaN(configuredRetries) ? 2 : configuredRetries;
+  const failures = [];
+  let lastError = null;
+  let attempted = false;
+
+  for (const { name: providerName, model } of chain) {
+    let config;
+    try {
+      config = getProviderConfig(providerName, model);
+    } catch (error) {
+      failures.push({ provider: providerName, error: error.message });
+      lastError = error;
+      continue;
+    }
+
+    if (options.needsVision && !canReadImages(config)) {
+      failures.push({ provider: providerName, error: 'Cannot read images - skipped' });
+      continue;
+    }
+    attempted = true;
+
+    const breaker = getCircuitBreaker(providerName);
+    if (!breaker.canRequest()) {
+      failures.push({ provider: providerName, error: 'Circuit open - skipped' });
+      continue;
+    }
+
+    for (let retry = 0; retry <= maxRetries; retry++) {
+      const started = Date.now();
+      try {
+        const result = await attempt(config);
+        breaker.recordSuccess();
+
+        return {
+          result,
+          metadata: {
+            provider: config.name,
+            model: config.model,
+            taskType: options.taskType || null,
+            routeSource: source,
+            latencyMs: Date.now() - started,
+            fallbacks: failures,
+          },
+        };
+      } catch (error) {
+        lastError = error;
+
+        if (error instanceof ProviderError && error.retryable && retry < maxRetries) {
+          const delay = backoffDelay(error, retry);
+          console.warn(`${providerName} returned ${error.status}, retrying in ${Math.round(delay)}ms`);
+          await sleep(delay);
+          continue;
+        }
+
+        if (isAvailabilityError(error)) {
+          breaker.recordFailure();
+        } else {
+          // It answered - the provider is up, whatever was wrong with the call
+          breaker.recordSuccess();
+        }
+        failures.push({ provider: providerName, error: error.message });
+        console.warn(`AI provider ${providerName} failed: ${error.message}`);
+        break;
+      }
+    }
+  }
+
+  if (options.needsVision && !attempted) {
+    throw new ProviderCapabilityError(
+      `No provider that can read images is configured for ${options.taskType || 'this'} calls ` +
+      `(tried ${chain.map(entry => entry.name).join(', ')}). Route it to openai, anthropic or gemini, ` +
+      'or list a vision model in AI_VISION_PROVIDERS.',
+      { capability: 'vision', failures }
+    );
+  }
+
+  // A single configured provider keeps its original error
+  if (chain.length === 1 && lastError) {
+    throw lastError;
+  }
+
+  const error = new Error(
+    `All AI providers failed: ${failures.map(f => `${f.provider} (${f.error})`).join('; ')}`
+  );
+  error.failures = failures;
+  throw error;
+}
+
+/**
+ * Completion with metadata - routes through the provider chain
  *
  * @param {Array} messages - Array of {role, content} messages
+ * @param {Object} options - Same options as completion()
+ * @returns {Promise<{content: string, metadata: Object}>} - Completion text plus
+ *   { provider, model, latencyMs, fallbacks, usage } describing who served it
+ *   and what it cost (usage is null if the provider didn't report it)
+ */
+export async function completionWithMetadata(messages, options = {}) {
+  const { result, metadata } = await runWithFallback(
+    config => callProvider(config, messages, {
+      ...options,
+      signal: AbortSignal.timeout(config.timeoutMs),
+    }),
+    { ...options, needsVision: hasImages(messages) }
+  );
+
+  return {
+    content: result.content,
+    metadata: { ...metadata, usage: usageWithCost(metadata, result.usage) },
+  };
+}
+
+/**
+ * Main completion function - routes to appropriate provider
+ *
+ * @param {Array} messages - Array of {role, content} messages; content is a string
+ *   or a list of text/image parts
  * @param {Object} options - Optional settings
- * @returns {Promise<Object>} - Parsed JSON response
+ * @param {string} options.model - Override model (first provider in the chain only)
+ * @param {number} options.temperature - Temperature (0-1)
+ * @param {number} options.maxTokens - Max tokens to generate
+ * @param {boolean} options.jsonMode - Request JSON output
+ * @param {string} options.taskType - Task type used to pick the provider ('logic', 'creative', 'archival', 'vision')
+ * @param {Object} options.routes - Workspace routing overrides keyed by task type
+ * @returns {Promise<string>} - The completion text
  */
-export async function jsonCompletion(messages, options = {}) {
-  // Ensure system prompt mentions JSON for providers that require it
+export async function completion(messages, options = {}) {
+  const { content } = await completionWithMetadata(messages, options);
+  return content;
+}
+
+/**
+ * Streaming completion - yields text deltas as the provider produces them
+ *
+ * Falls back to the next provider only if the stream fails before the first
+ * delta arrives; the timeout likewise covers time-to-first-token.
+ *
+ * @param {Array} messages - Array of {role, content} messages
+ * @param {Object} options - Same options as completion()
+ * @returns {AsyncGenerator<string, Object>} - Text deltas; returns the metadata (with usage) when done
+ */
+export async function* completionStream(messages, options = {}) {
+  const { result, metadata } = await runWithFallback(async (config) => {
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(new DOMException('Provider timed out', 'TimeoutError')),
+      config.timeoutMs
+    );
+
+    try {
+      const stream = streamProvider(config, messages, { ...options, signal: controller.signal });
+      const first = await stream.next();
+      return { stream, first };
+    } finally {
+      clearTimeout(timer);
+    }
+  }, { ...options, needsVision: hasImages(messages) });
+
+  const { stream, first } = result;
+  let usage = first.value;
+  if (!first.done) {
+    yield first.value;
+    usage = yield* stream;
+  }
+
+  return { ...metadata, usage: usageWithCost(metadata, usage) };
+}
+
+/**
+ * Ensure the system prompt mentions JSON for providers that require it
+ */
+function ensureJsonInstruction(messages) {
   const systemIdx = messages.findIndex(m => m.role === 'system');
-  if (systemIdx >= 0 && !messages[systemIdx].content.toLowerCase().includes('json')) {
+  if (systemIdx >= 0 && typeof messages[systemIdx].content === 'string' &&
+    !messages[systemIdx].content.toLowerCase().includes('json')) {
     messages[systemIdx].content += '\n\nRespond with valid JSON.';
   }
+}
 
-  const response = await completion(messages, { ...options, jsonMode: true });
+/**
+ * Thrown when JSON output still fails validation after all repair attempts
+ */
+export class JsonValidationError extends Error {
+  constructor(errors) {
+    super(`Response failed validation: ${errors.slice(0, 3).join('; ')}` +
+      (errors.length > 3 ? ` (+${errors.length - 3} more)` : ''));
+    this.name = 'JsonValidationError';
+    this.errors = errors;
+  }
+}
 
+/**
+ * Parse a completion as JSON
+ *
+ * Lenient on purpose: smaller (especially local) models often wrap the JSON
+ * in prose or markdown, or leave trailing commas behind.
+ */
+function parseJsonResponse(response) {
   try {
     return JSON.parse(response);
   } catch (e) {
     // Some providers might wrap JSON in markdown code blocks
-    const jsonMatch = response.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[1].trim());
+    const jsonMatch = response?.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = jsonMatch ? jsonMatch[1].trim() : extractJsonObject(response);
+
+    if (candidate) {
+      try {
+        return JSON.parse(candidate);
+      } catch (inner) {
+        // Trailing commas are the most common local-model mistake
+        try {
+          return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+        } catch (ignored) {
+          // Fall through to the original error
+        }
+      }
     }
     throw new Error(`Failed to parse JSON response: ${e.message}`);
   }
 }
 
+/**
+ * Pull the outermost {...} out of a response that has text around it
+ */
+function extractJsonObject(text) {
+  if (typeof text !== 'string') return null;
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start >= 0 && end > start ? text.slice(start, end + 1) : null;
+}
+
+/**
+ * JSON completion with metadata - parses response as JSON
+ *
+ * When a validator is supplied, invalid output is sent back to the model
+ * together with the validation errors so it can correct itself.
+ *
+ * @param {Array} messages - Array of {role, content} messages
+ * @param {Object} options - Optional settings
+ * @param {Function} options.validate - Validator returning { value, errors } for the parsed JSON
+ * @param {number} options.maxRepairs - Repair attempts before giving up (default 1)
+ * @returns {Promise<{data: Object, metadata: Object}>} - Parsed (and validated) JSON
+ *   plus the provider metadata of the call that produced it
+ */
+export async function jsonCompletionWithMetadata(messages, options = {}) {
+  ensureJsonInstruction(messages);
+
+  const { validate, maxRepairs = 1, ...completionOptions } = options;
+  let conversation = messages;
+  let usage = null;
+
+  for (let attempt = 0; ; attempt++) {
+    const { content: response, metadata } = await completionWithMetadata(conversation, {
+      ...completionOptions,
+      jsonMode: true,
+    });
+    // Repairs are billed too - report the total for the whole exchange
+    usage = addUsage(usage, metadata.usage);
+
+    let result;
+    try {
+      const parsed = parseJsonResponse(response);
+      if (!validate) return { data: parsed, metadata };
+      result = validate(parsed);
+    } catch (e) {
+      if (!validate) throw e;
+      result = { value: null, errors: [e.message] };
+    }
+
+    if (result.errors.length === 0) {
+      return { data: result.value, metadata: { ...metadata, usage, repairs: attempt } };
+    }
+
+    if (attempt >= maxRepairs) {
+      throw new JsonValidationError(result.errors);
+    }
+
+    console.warn(`JSON validation failed (attempt ${attempt + 1}), asking model to repair:`, result.errors);
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: response || '' },
+      {
+        role: 'user',
+        content: 'Your JSON response did not match the required format:\n' +
+          result.errors.map(e => `- ${e}`).join('\n') +
+          '\n\nReturn the complete corrected JSON object only.',
+      },
+    ];
+  }
+}
+
+/**
+ * JSON completion - parses response as JSON
+ *
+ * @param {Array} messages - Array of {role, content} messages
+ * @param {Object} options - Optional settings (see jsonCompletionWithMetadata)
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+export async function jsonCompletion(messages, options = {}) {
+  const { data } = await jsonCompletionWithMetadata(messages, options);
+  return data;
+}
+
+/**
+ * Streaming JSON completion - yields raw text deltas of a JSON response
+ * Pair with IncrementalJsonParser to pick out objects as they complete.
+ *
+ * @param {Array} messages - Array of {role, content} messages
+ * @param {Object} options - Optional settings
+ * @returns {AsyncGenerator<string, Object>} - Text deltas; returns the provider metadata when done
+ */
+export async function* jsonCompletionStream(messages, options = {}) {
+  ensureJsonInstruction(messages);
+
+  return yield* completionStream(messages, { ...options, jsonMode: true });
+}
+
 /**
  * Get current provider info (for debugging/display)
+ *
+ * @param {Object} options
+ * @param {Object} options.routes - Workspace routing overrides to include
  */
-export function getProviderInfo() {
+export function getProviderInfo(options = {}) {
   try {
     const config = getProviderConfig();
     return {
@@ -331,13 +1409,37 @@ export function getProviderInfo() {
       model: config.model,
       type: config.type,
       hasKey: !!config.apiKey,
+      local: !!config.local,
       notes: config.notes || null,
+      chain: getDefaultChain().map(entry => entry.name),
+      taskTypes: Object.fromEntries(
+        TASK_TYPES.map(taskType => [taskType, describeRoute(taskType, options.routes)])
+      ),
+      circuits: getCircuitStates(),
     };
   } catch (e) {
     return { error: e.message };
   }
 }
 
+/**
+ * Describe the effective provider/model for a task type
+ */
+export function describeRoute(taskType, routes) {
+  const { chain, source } = resolveProviderChain({ taskType, routes });
+  const [primary] = chain;
+
+  return {
+    provider: primary.name,
+    model: resolveModel(primary.name, primary.model),
+    source,
+    chain: chain.map(entry => ({
+      provider: entry.name,
+      model: resolveModel(entry.name, entry.model),
+    })),
+  };
+}
+
 /**
  * List available providers with recommendations
  */
@@ -348,7 +1450,52 @@ export function listProviders() {
     defaultModel: config.defaultModel,
     envKey: config.envKey,
     configured: config.envKey ? !!process.env[config.envKey] : true,
+    local: !!config.local,
+    pricing: PROVIDER_PRICING[name]?.default || null,
     notes: config.notes || null,
     recommended: ['mistral', 'deepinfra', 'together', 'openrouter'].includes(name),
   }));
 }
+
+/**
+ * List the models a provider's server offers
+ * Mainly for local servers, where the available models are whatever has
+ * been pulled/loaded on that machine.
+ *
+ * @param {string} providerName - Provider to ask
+ * @returns {Promise<Array<{id, size?, modifiedAt?}>>}
+ */
+export async function listModels(providerName) {
+  const config = getProviderConfig(providerName);
+
+  if (config.type === 'ollama') {
+    const response = await fetch(`${config.baseUrl}/api/tags`, {
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+      throw await httpError(config, 'Ollama', response);
+    }
+
+    const data = await response.json();
+    return (data.models || []).map(model => ({
+      id: model.name,
+      size: model.size ?? null,
+      modifiedAt: model.modified_at ?? null,
+    }));
+  }
+
+  if (config.type === 'openai-compatible') {
+    const response = await fetch(`${config.baseUrl}/models`, {
+      headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+      throw await httpError(config, config.name, response);
+    }
+
+    const data = await response.json();
+    return (data.data || []).map(model => ({ id: model.id }));
+  }
+
+  throw new Error(`Model listing is not supported for ${config.type} providers`);
+}
@@ -0,0 +1,121 @@
+/**
+ * Cassette Store - Record/Replay for AI calls
+ *
+ * Lets the parse pipeline run deterministically without API keys.
+ * In record mode, real provider responses are saved to JSON "cassettes"
+ * keyed by a hash of the request; in replay mode they are served back.
+ *
+ * Configure via environment:
+ * - CASSETTE_MODE: 'replay' (default) or 'record'
+ * - CASSETTE_STRICT: 'true' (default) - a replay miss throws. Set to 'false'
+ *   to fall through to the upstream provider and record the miss.
+ * - CASSETTE_DIR: where cassettes live (default: test/cassettes in the repo)
+ *
+ * Layout: <CASSETTE_DIR>/<kind>/<hash>.json, e.g. test/cassettes/completion/3fa9....json
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_CASSETTE_DIR = fileURLToPath(new URL('../../../test/cassettes', import.meta.url));
+
+/**
+ * Thrown when a cassette is missing in strict replay mode
+ */
+export class CassetteMissError extends Error {
+  constructor(kind, key) {
+    super(
+      `No ${kind} cassette for request ${key}. ` +
+      'Record it with CASSETTE_MODE=record (and a real upstream provider), ' +
+      'or set CASSETTE_STRICT=false to fall through to the upstream provider.'
+    );
+    this.name = 'CassetteMissError';
+    this.kind = kind;
+    this.key = key;
+  }
+}
+
+/**
+ * Current cassette settings
+ */
+export function getCassetteSettings() {
+  return {
+    mode: (process.env.CASSETTE_MODE || 'replay').toLowerCase(),
+    strict: process.env.CASSETTE_STRICT !== 'false',
+    dir: process.env.CASSETTE_DIR || DEFAULT_CASSETTE_DIR,
+  };
+}
+
+/**
+ * Hash the parts of a request that determine its response
+ * @param {...*} parts - JSON-serializable values or Buffers
+ * @returns {string} Hex sha256
+ */
+export function cassetteKey(...parts) {
+  const hash = createHash('sha256');
+  for (const part of parts) {
+    hash.update(Buffer.isBuffer(part) ? part : JSON.stringify(part ?? null));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Load a cassette, or null if it hasn't been recorded
+ */
+export async function loadCassette(kind, key) {
+  const { dir } = getCassetteSettings();
+
+  try {
+    return JSON.parse(await readFile(join(dir, kind, `${key}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Save a cassette
+ */
+export async function saveCassette(kind, key, data) {
+  const { dir } = getCassetteSettings();
+  const kindDir = join(dir, kind);
+
+  await mkdir(kindDir, { recursive: true });
+  await writeFile(
+    join(kindDir, `${key}.json`),
+    JSON.stringify({ key, recordedAt: new Date().toISOString(), ...data }, null, 2) + '\n'
+  );
+}
+
+/**
+ * Serve a request from cassettes, recording through `callUpstream` when allowed
+ *
+ * @param {string} kind - Cassette kind (subdirectory), e.g. 'completion'
+ * @param {string} key - Request hash from cassetteKey()
+ * @param {Function} callUpstream - Makes the real call; resolves to { response, ...extra }
+ * @returns {Promise<object>} The cassette contents
+ */
+export async function withCassette(kind, key, callUpstream) {
+  const { mode, strict } = getCassetteSettings();
+
+  if (mode !== 'record') {
+    const cassette = await loadCassette(kind, key);
+    if (cassette) return cassette;
+    if (strict) throw new CassetteMissError(kind, key);
+  }
+
+  const recorded = await callUpstream();
+  await saveCassette(kind, key, recorded);
+  return recorded;
+}
+
+export default {
+  CassetteMissError,
+  getCassetteSettings,
+  cassetteKey,
+  loadCassette,
+  saveCassette,
+  withCassette,
+};
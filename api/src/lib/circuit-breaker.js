@@ -0,0 +1,109 @@
+/**
+ * Circuit Breaker
+ *
+ * Tracks consecutive failures per provider. After too many failures in a
+ * row the circuit "opens" and callers skip that provider for a cool-down
+ * period. Once the cool-down passes, one request is let through
+ * (half-open) and the rest keep skipping the provider until it finishes:
+ * success closes the circuit, failure opens it again.
+ *
+ * Configure via environment:
+ * - AI_CIRCUIT_FAILURE_THRESHOLD: consecutive failures before opening (default 3)
+ * - AI_CIRCUIT_COOLDOWN_MS: how long an open circuit skips the provider (default 60000)
+ */
+
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.threshold = options.threshold
+      ?? (parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 3);
+    this.cooldownMs = options.cooldownMs
+      ?? (parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS) || 60000);
+    this.failures = 0;
+    this.openUntil = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be sent to this provider right now
+   * When half-open, the first caller gets the trial request - it must then
+   * call recordSuccess or recordFailure.
+   */
+  canRequest() {
+    if (this.openUntil > Date.now()) return false;
+    if (this.failures < this.threshold) return true;
+    if (this.trialInFlight) return false;
+
+    this.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Record a successful call - closes the circuit
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openUntil = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed call - opens the circuit once the threshold is reached
+   */
+  recordFailure() {
+    this.trialInFlight = false;
+    this.failures++;
+    if (this.failures >= this.threshold) {
+      this.openUntil = Date.now() + this.cooldownMs;
+      console.warn(
+        `Circuit opened for ${this.name} after ${this.failures} failures. ` +
+        `Skipping for ${Math.round(this.cooldownMs / 1000)}s.`
+      );
+    }
+  }
+
+  /**
+   * Current state (for debugging/display)
+   */
+  getState() {
+    let state = 'closed';
+    if (this.openUntil > Date.now()) {
+      state = 'open';
+    } else if (this.failures >= this.threshold) {
+      state = 'half-open';
+    }
+
+    return {
+      name: this.name,
+      state,
+      failures: this.failures,
+      trialInFlight: this.trialInFlight,
+      openUntil: this.openUntil > Date.now() ? new Date(this.openUntil).toISOString() : null,
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Get (or create) the shared circuit breaker for a name
+ */
+export function getCircuitBreaker(name, options = {}) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * States of every breaker created so far
+ */
+export function getCircuitStates() {
+  return [...breakers.values()].map(breaker => breaker.getState());
+}
+
+export default {
+  CircuitBreaker,
+  getCircuitBreaker,
+  getCircuitStates,
+};
@@ -0,0 +1,150 @@
+/**
+ * Context Synthesis
+ *
+ * Stage 7 of the AI pipeline: the parsed tasks, resolved and ambiguous
+ * entities and the memory service's context (past resolutions, routing
+ * patterns) go to CONTEXT_SYNTHESIS_PROMPT, which returns enriched tasks
+ * with a suggested assignee, related resolutions and context notes.
+ *
+ * The model may only point at records it was shown: resolution and
+ * assignee ids that aren't in the context are dropped, and each enriched
+ * task gets `links` - internal://type/id references built from the ids
+ * that survived, for clients to render.
+ */
+
+import { jsonCompletionWithMetadata } from './ai-provider.js';
+import { validateSynthesisOutput } from './lob-schema.js';
+import { resolvePrompt } from './prompt-registry.js';
+
+export const SYNTHESIS_OPTIONS = {
+  temperature: 0.2,
+  maxTokens: 3000,
+  taskType: 'archival', // Reads a lot of company context, writes little
+};
+
+/**
+ * Build the synthesis messages: the prompt, then everything known about the lob
+ */
+export function buildSynthesisMessages({ tasks, entities, resolved, ambiguous, context }, prompt) {
+  const lob = {
+    tasks,
+    entities: { extracted: entities, resolved, ambiguous },
+    companyContext: context,
+  };
+
+  return [
+    { role: 'system', content: prompt },
+    { role: 'user', content: JSON.stringify(lob, null, 2) },
+  ];
+}
+
+/**
+ * Ids the model was shown, by link type
+ */
+function knownRecords({ resolved, ambiguous, context }) {
+  const known = {
+    person: new Map(),
+    company: new Map(),
+    system: new Map(),
+    account: new Map(),
+    resolution: new Map(),
+  };
+
+  for (const entity of resolved) {
+    if (known[entity.type] && entity.resolvedTo) {
+      known[entity.type].set(entity.resolvedTo, entity.resolvedName);
+    }
+  }
+  for (const entity of ambiguous) {
+    for (const match of entity.possibleMatches || []) {
+      if (known[entity.type] && match.id) known[entity.type].set(match.id, match.name);
+    }
+  }
+  for (const pattern of context?.routing || []) {
+    if (pattern.assigneeId) known.person.set(pattern.assigneeId, pattern.suggestedAssignee);
+  }
+  for (const resolution of context?.resolutions || []) {
+    known.resolution.set(resolution.id, resolution.problem);
+  }
+
+  return known;
+}
+
+function link(type, id, label) {
+  return { type, id, label: label || id, href: `internal://${type}/${id}` };
+}
+
+/**
+ * Drop ids the model wasn't shown and attach internal:// links
+ */
+function groundEnrichedTask(task, known) {
+  const links = [];
+
+  for (const entity of task.resolvedEntities) {
+    const type = Object.keys(known).find(candidate => known[candidate].has(entity.resolvedTo));
+    if (type && type !== 'resolution') {
+      links.push(link(type, entity.resolvedTo, entity.resolvedName || known[type].get(entity.resolvedTo)));
+    }
+  }
+
+  let suggestedAssignee = task.suggestedAssignee;
+  if (suggestedAssignee?.id && !known.person.has(suggestedAssignee.id)) {
+    // A name with reasoning is still useful, an invented id is not
+    suggestedAssignee = { ...suggestedAssignee, id: null };
+  }
+  if (suggestedAssignee?.id) {
+    links.push(link('person', suggestedAssignee.id, suggestedAssignee.name));
+  }
+
+  const relatedResolutions = task.relatedResolutions
+    .filter(resolution => known.resolution.has(resolution.id))
+    .sort((a, b) => (b.relevanceScore || 0) - (a.relevanceScore || 0));
+  for (const resolution of relatedResolutions) {
+    links.push(link('resolution', resolution.id, resolution.problem));
+  }
+
+  const unique = [...new Map(links.map(item => [item.href, item])).values()];
+  return { ...task, suggestedAssignee, relatedResolutions, links: unique };
+}
+
+/**
+ * Enrich parsed tasks with company context
+ *
+ * @param {object} lob
+ * @param {Array} lob.tasks - Parsed tasks
+ * @param {Array} lob.entities - Extracted entities
+ * @param {Array} lob.resolved - Entities the resolver matched
+ * @param {Array} lob.ambiguous - Entities it couldn't
+ * @param {object} lob.context - MemoryService.getFullContext() result
+ * @param {object} options
+ * @param {object} options.routes - Workspace AI routing overrides (workspaces.ai_routes)
+ * @param {string} options.workspace - Workspace ID, for prompt selection
+ * @param {string} options.unit - What prompt experiments split on (e.g. the lob ID)
+ * @returns {Promise<{enrichedTasks, ambiguities, meta}>}
+ */
+export async function synthesizeContext(
+  { tasks = [], entities = [], resolved = [], ambiguous = [], context = null },
+  { routes = null, workspace = null, unit = '' } = {}
+) {
+  const lob = { tasks, entities, resolved, ambiguous, context };
+  const { content, ...promptInfo } = await resolvePrompt('context_synthesis', { workspace, unit });
+
+  const { data, metadata } = await jsonCompletionWithMetadata(
+    buildSynthesisMessages(lob, content),
+    { ...SYNTHESIS_OPTIONS, routes, validate: validateSynthesisOutput }
+  );
+
+  const known = knownRecords(lob);
+
+  return {
+    enrichedTasks: data.enrichedTasks.map(task => groundEnrichedTask(task, known)),
+    ambiguities: data.ambiguities,
+    meta: { ...metadata, prompt: promptInfo },
+  };
+}
+
+export default {
+  SYNTHESIS_OPTIONS,
+  buildSynthesisMessages,
+  synthesizeContext,
+};
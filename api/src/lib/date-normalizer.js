@@ -0,0 +1,463 @@
+/**
+ * Date Normalizer
+ *
+ * Turns the informal deadline phrases the parser extracts ("Monday",
+ * "by the 15th", "next week", "tomorrow at 3pm") into real timestamps.
+ * Phrases are resolved relative to when the lob was sent, in the sender's
+ * timezone - "Monday" lobbed on a Sunday night in Denver is not the same
+ * instant as "Monday" in UTC.
+ *
+ * Dates without a time resolve to the end of that day (23:59:59 local).
+ * Phrases that could reasonably mean two different days ("next Friday" said
+ * on a Friday, "3/4") are flagged as ambiguous with the alternatives and a
+ * clarification question, so they can be confirmed instead of guessed.
+ */
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ABBREVIATIONS = {
+  sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6,
+};
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, couple: 2, few: 3,
+};
+
+/**
+ * Use the timezone if Intl knows it, otherwise DEFAULT_TIMEZONE
+ */
+export function resolveTimezone(timezone) {
+  if (!timezone) return process.env.DEFAULT_TIMEZONE || DEFAULT_TIMEZONE;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (e) {
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ */
+function zonedTimeToDate({ year, month, day, hour = 23, minute = 59, second = 59 }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  let instant = wallClock;
+
+  // Two passes settle the offset across DST transitions
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(instant), timezone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+      - instant;
+    instant = wallClock - offset;
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Calendar day arithmetic on { year, month, day } (timezone-free)
+ */
+function addDays(day, count) {
+  const date = new Date(Date.UTC(day.year, day.month - 1, day.day + count));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf(day) {
+  return new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function compareDays(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+function formatDay(day) {
+  return `${day.year}-${String(day.month).padStart(2, '0')}-${String(day.day).padStart(2, '0')}`;
+}
+
+function parseCount(word) {
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word];
+}
+
+function parseWeekday(word) {
+  const index = WEEKDAYS.indexOf(word);
+  return index >= 0 ? index : WEEKDAY_ABBREVIATIONS[word];
+}
+
+function parseMonth(word) {
+  return MONTHS.findIndex(month => month === word || month.slice(0, 3) === word.slice(0, 3)) + 1;
+}
+
+/**
+ * Pull a time of day out of the phrase
+ * @returns {{time: {hour, minute}|null, rest: string}}
+ */
+function extractTime(phrase) {
+  const patterns = [
+    [/\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/, match => {
+      let hour = parseInt(match[1], 10) % 12;
+      if (match[3].startsWith('p')) hour += 12;
+      return { hour, minute: parseInt(match[2] || '0', 10) };
+    }],
+    [/\b(?:at\s+)?(\d{1,2}):(\d{2})\b/, match => ({
+      hour: parseInt(match[1], 10),
+      minute: parseInt(match[2], 10),
+    })],
+    [/\b(?:at\s+)?noon\b/, () => ({ hour: 12, minute: 0 })],
+    [/\b(?:at\s+)?midnight\b/, () => ({ hour: 23, minute: 59 })],
+    [/\b(?:eod|cob|end of (?:the )?(?:business )?day|close of business)\b/, () => ({ hour: 17, minute: 0 })],
+    [/\b(?:in the\s+)?morning\b/, () => ({ hour: 9, minute: 0 })],
+    [/\b(?:in the\s+)?afternoon\b/, () => ({ hour: 15, minute: 0 })],
+    [/\b(?:in the\s+)?evening\b/, () => ({ hour: 19, minute: 0 })],
+  ];
+
+  for (const [pattern, toTime] of patterns) {
+    const match = phrase.match(pattern);
+    if (match) {
+      const time = toTime(match);
+      if (time.hour > 23 || time.minute > 59) continue;
+      return { time, rest: phrase.replace(match[0], ' ').replace(/\s+/g, ' ').trim() };
+    }
+  }
+
+  if (/\btonight\b/.test(phrase)) {
+    return { time: { hour: 20, minute: 0 }, rest: phrase.replace(/\btonight\b/, 'today').trim() };
+  }
+
+  return { time: null, rest: phrase };
+}
+
+/**
+ * Strip filler words around the date ("by", "due", "before", "this coming")
+ */
+function cleanPhrase(phrase) {
+  return phrase
+    .toLowerCase()
+    .replace(/[.,!?;]+$/g, '')
+    .replace(/(\d+)(st|nd|rd|th)\b/g, '$1')
+    .replace(/^(?:due\s+)?(?:by|on|before|until|till|no later than|due|for)\s+/, '')
+    .replace(/\bthis coming\b/, 'this')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Resolve the date part of a phrase to a calendar day
+ * @returns {{day, precision, alternatives?: Array, question?: string}|null}
+ */
+function resolveDay(phrase, today) {
+  const todayWeekday = weekdayOf(today);
+  let match;
+
+  if (phrase === '' || phrase === 'today') return { day: today, precision: 'day' };
+  if (/^(?:asap|as soon as possible|immediately|right away|now)$/.test(phrase)) {
+    return { day: today, precision: 'day' };
+  }
+  if (phrase === 'tomorrow') return { day: addDays(today, 1), precision: 'day' };
+  if (/^(?:the )?day after tomorrow$/.test(phrase)) return { day: addDays(today, 2), precision: 'day' };
+
+  // ISO date (2026-03-15)
+  if ((match = phrase.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    const day = { year: +match[1], month: +match[2], day: +match[3] };
+    return isValidDay(day) ? { day, precision: 'day' } : null;
+  }
+
+  // in 3 days / in two weeks / in a month
+  if ((match = phrase.match(/^(?:in|within) (?:the next )?(?:a )?(\w+)(?: of)? (day|week|month)s?$/))) {
+    const count = parseCount(match[1]);
+    if (!count) return null;
+    if (match[2] === 'day') return { day: addDays(today, count), precision: 'day' };
+    if (match[2] === 'week') return { day: addDays(today, count * 7), precision: 'day' };
+    return { day: addMonthsClamped(today, count), precision: 'day' };
+  }
+
+  // Weekday: "friday", "this friday", "next friday"
+  if ((match = phrase.match(/^(this |next |coming )?(\w+)$/)) && parseWeekday(match[2]) !== undefined) {
+    const target = parseWeekday(match[2]);
+    const ahead = (target - todayWeekday + 7) % 7 || 7;
+    const upcoming = addDays(today, ahead);
+    const name = WEEKDAYS[target][0].toUpperCase() + WEEKDAYS[target].slice(1);
+
+    if (match[1] === 'next ') {
+      if (target === todayWeekday) {
+        // "next Friday" on a Friday - a week out, or the Friday after?
+        return {
+          day: upcoming,
+          precision: 'day',
+          alternatives: [upcoming, addDays(upcoming, 7)],
+          question: `Does "next ${name}" mean ${formatDay(upcoming)} or ${formatDay(addDays(upcoming, 7))}?`,
+        };
+      }
+      return { day: upcoming, precision: 'day' };
+    }
+
+    if (target === todayWeekday) {
+      // "Friday" said on a Friday - today, or next week?
+      return {
+        day: today,
+        precision: 'day',
+        alternatives: [today, upcoming],
+        question: `Does "${name}" mean today or ${formatDay(upcoming)}?`,
+      };
+    }
+    return { day: upcoming, precision: 'day' };
+  }
+
+  // this week / end of the week -> Friday; next week -> Friday of next week
+  if (/^(?:this week|end of (?:the |this )?week|eow|the end of the week)$/.test(phrase)) {
+    const friday = addDays(today, (5 - todayWeekday + 7) % 7);
+    if (todayWeekday === 6 || todayWeekday === 0) {
+      return {
+        day: friday,
+        precision: 'week',
+        alternatives: [today, friday],
+        question: `The week is already over - did you mean ${formatDay(friday)}?`,
+      };
+    }
+    return { day: friday, precision: 'week' };
+  }
+  if (/^(?:next week|end of next week)$/.test(phrase)) {
+    const nextMonday = addDays(today, ((1 - todayWeekday + 7) % 7) || 7);
+    return { day: addDays(nextMonday, 4), precision: 'week' };
+  }
+
+  // this month / end of the month / next month
+  if (/^(?:this month|end of (?:the |this )?month|eom)$/.test(phrase)) {
+    return { day: { ...today, day: daysInMonth(today.year, today.month) }, precision: 'month' };
+  }
+  if (/^(?:next month|end of next month)$/.test(phrase)) {
+    const next = addMonthsClamped({ ...today, day: 1 }, 1);
+    return { day: { ...next, day: daysInMonth(next.year, next.month) }, precision: 'month' };
+  }
+
+  // "the 15th" - this month, or next month if it has passed
+  if ((match = phrase.match(/^(?:the )?(\d{1,2})$/))) {
+    const dayOfMonth = +match[1];
+    let day = { ...today, day: dayOfMonth };
+    if (!isValidDay(day) || compareDays(day, today) < 0) {
+      const next = addMonthsClamped({ ...today, day: 1 }, 1);
+      day = { ...next, day: dayOfMonth };
+    }
+    return isValidDay(day) ? { day, precision: 'day' } : null;
+  }
+
+  // "March 15", "15 March", "march 15 2027"
+  if ((match = phrase.match(/^([a-z]+) (\d{1,2})(?: (\d{4}))?$/)) && parseMonth(match[1])) {
+    return resolveMonthDay(today, parseMonth(match[1]), +match[2], match[3] && +match[3]);
+  }
+  if ((match = phrase.match(/^(?:the )?(\d{1,2}) (?:of )?([a-z]+)(?: (\d{4}))?$/)) && parseMonth(match[2])) {
+    return resolveMonthDay(today, parseMonth(match[2]), +match[1], match[3] && +match[3]);
+  }
+
+  // 3/15 or 3/15/2027 - month first; flagged when day-first reads differently
+  if ((match = phrase.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/))) {
+    const year = match[3] && (match[3].length === 2 ? 2000 + +match[3] : +match[3]);
+    const monthFirst = resolveMonthDay(today, +match[1], +match[2], year);
+    const dayFirst = resolveMonthDay(today, +match[2], +match[1], year);
+
+    if (monthFirst && dayFirst && +match[1] !== +match[2]) {
+      return {
+        ...monthFirst,
+        alternatives: [monthFirst.day, dayFirst.day],
+        question: `Does "${match[0]}" mean ${formatDay(monthFirst.day)} or ${formatDay(dayFirst.day)}?`,
+      };
+    }
+    return monthFirst || dayFirst;
+  }
+
+  return null;
+}
+
+function isValidDay(day) {
+  return day.month >= 1 && day.month <= 12 && day.day >= 1 && day.day <= daysInMonth(day.year, day.month);
+}
+
+function addMonthsClamped(day, count) {
+  const monthIndex = day.month - 1 + count;
+  const year = day.year + Math.floor(monthIndex / 12);
+  const month = (monthIndex % 12) + 1;
+  return { year, month, day: Math.min(day.day, daysInMonth(year, month)) };
+}
+
+/**
+ * A month/day with no year is the next one on or after today
+ */
+function resolveMonthDay(today, month, dayOfMonth, year) {
+  let day = { year: year || today.year, month, day: dayOfMonth };
+  if (!isValidDay(day)) return null;
+  if (!year && compareDays(day, today) < 0) {
+    day = { ...day, year: today.year + 1 };
+  }
+  return { day, precision: 'day' };
+}
+
+/**
+ * Normalize an informal deadline phrase to a timestamp
+ *
+ * @param {string} phrase - e.g. "Monday", "by the 15th", "tomorrow at 3pm"
+ * @param {object} options
+ * @param {Date|string} options.referenceDate - When the lob was sent (default: now)
+ * @param {string} options.timezone - Sender's IANA timezone (default: DEFAULT_TIMEZONE env or UTC)
+ * @returns {object|null} {
+ *   original, iso, localDate, timezone, precision,
+ *   ambiguous, alternatives?, clarificationQuestion?
+ * } - iso is null when the phrase can't be resolved; null for an empty phrase
+ */
+export function normalizeDeadline(phrase, { referenceDate = new Date(), timezone } = {}) {
+  if (phrase == null || String(phrase).trim() === '') return null;
+
+  const original = String(phrase).trim();
+  const zone = resolveTimezone(timezone);
+  const reference = new Date(referenceDate);
+  const now = getZonedParts(Number.isNaN(reference.getTime()) ? new Date() : reference, zone);
+  const today = { year: now.year, month: now.month, day: now.day };
+
+  // Already a full timestamp with an offset - trust it
+  if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}.*(z|[+-]\d{2}:?\d{2})$/i.test(original)) {
+    const date = new Date(original);
+    if (!Number.isNaN(date.getTime())) {
+      return {
+        original,
+        iso: date.toISOString(),
+        localDate: formatDay(getZonedParts(date, zone)),
+        timezone: zone,
+        precision: 'time',
+        ambiguous: false,
+      };
+    }
+  }
+
+  const cleaned = cleanPhrase(original).replace(/^(\d{4}-\d{2}-\d{2})t(\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?$/, '$1 $2');
+  const { time, rest } = extractTime(cleaned);
+  const resolved = resolveDay(cleanPhrase(rest), today);
+
+  if (!resolved) {
+    return {
+      original,
+      iso: null,
+      localDate: null,
+      timezone: zone,
+      precision: null,
+      ambiguous: true,
+      clarificationQuestion: `When is "${original}" due? I couldn't work out a date.`,
+    };
+  }
+
+  let { day } = resolved;
+
+  // A bare time that has already passed today means tomorrow
+  if (time && rest === '' && (time.hour < now.hour || (time.hour === now.hour && time.minute <= now.minute))) {
+    day = addDays(day, 1);
+  }
+
+  const at = time ? { ...time, second: 0 } : {};
+  const result = {
+    original,
+    iso: zonedTimeToDate({ ...day, ...at }, zone).toISOString(),
+    localDate: formatDay(day),
+    timezone: zone,
+    precision: time ? 'time' : resolved.precision,
+    ambiguous: !!resolved.alternatives,
+  };
+
+  if (resolved.alternatives) {
+    result.alternatives = resolved.alternatives.map(alternative =>
+      zonedTimeToDate({ ...alternative, ...at }, zone).toISOString()
+    );
+    result.clarificationQuestion = resolved.question;
+  }
+
+  return result;
+}
+
+/**
+ * Normalize the deadlines on parsed tasks and the date entities of a lob
+ *
+ * Each task with a deadline gets `deadline` replaced by the ISO timestamp
+ * (or null when it can't be resolved), the phrase kept in `deadlineText`,
+ * and ambiguous deadlines flagged with `deadlineAmbiguous` and a question
+ * added to `missingInfo`. Date entities get a `normalized` block.
+ *
+ * @param {{tasks: Array, entities: Array}} parsed - parseLob output
+ * @param {object} options - { referenceDate, timezone } as for normalizeDeadline
+ * @returns {{tasks: Array, entities: Array}}
+ */
+export function normalizeLobDates({ tasks = [], entities = [] }, options = {}) {
+  return {
+    tasks: tasks.map(task => normalizeTaskDeadline(task, options)),
+    entities: entities.map(entity => {
+      if (entity.type !== 'date') return entity;
+      return { ...entity, normalized: normalizeDeadline(entity.mention, options) };
+    }),
+  };
+}
+
+/**
+ * Normalize one parsed task's deadline (see normalizeLobDates)
+ */
+export function normalizeTaskDeadline(task, options = {}) {
+  if (!task?.deadline || task.deadlineText !== undefined) return task;
+
+  const normalized = normalizeDeadline(task.deadline, options);
+  const normalizedTask = {
+    ...task,
+    deadline: normalized.iso,
+    deadlineText: normalized.original,
+    deadlineTimezone: normalized.timezone,
+  };
+
+  if (normalized.ambiguous) {
+    normalizedTask.deadlineAmbiguous = true;
+    if (normalized.alternatives) normalizedTask.deadlineAlternatives = normalized.alternatives;
+    normalizedTask.missingInfo = [...(task.missingInfo || []), normalized.clarificationQuestion];
+  }
+
+  return normalizedTask;
+}
+
+export default {
+  DEFAULT_TIMEZONE,
+  resolveTimezone,
+  normalizeDeadline,
+  normalizeLobDates,
+  normalizeTaskDeadline,
+};
@@ -0,0 +1,110 @@
+/**
+ * Duplicate Task Detection
+ *
+ * People lob the same problem again ("the contact form is broken" three
+ * times a week). Before new tasks are created, each parsed task is
+ * compared with the workspace's open tasks:
+ *
+ * - summary similarity: word overlap of the summaries, or of the raw
+ *   chunk and the existing task's raw input, whichever is higher
+ * - system: same system_name
+ * - entities: how many of the task's entities the existing task mentions
+ *
+ * Configure via environment:
+ * - DUPLICATE_THRESHOLD: minimum score to report a match (default 0.5)
+ */
+
+import { tasks } from './pocketbase.js';
+import { similarity } from './text-similarity.js';
+
+const WEIGHTS = { summary: 0.6, system: 0.25, entities: 0.15 };
+
+// Most matches reported per parsed task
+const MAX_MATCHES = 3;
+
+function threshold() {
+  const value = parseFloat(process.env.DUPLICATE_THRESHOLD);
+  return Number.isNaN(value) ? 0.5 : value;
+}
+
+/**
+ * Open tasks a new lob could duplicate
+ */
+export async function listOpenTasks(workspaceId) {
+  return tasks.listAll(`workspace = "${workspaceId}" && status != "done"`);
+}
+
+/**
+ * Score one parsed task against one existing task
+ * @returns {{score: number, reasons: string[]}}
+ */
+export function scoreDuplicate(parsed, existing, mentions = parsed.relatedEntities || []) {
+  const reasons = [];
+
+  const summaryScore = Math.max(
+    similarity(parsed.summary, existing.summary),
+    similarity(parsed.rawChunk, existing.raw_input)
+  );
+  if (summaryScore > 0) reasons.push(`summary overlap ${Math.round(summaryScore * 100)}%`);
+
+  const sameSystem = Boolean(parsed.system && existing.system_name) &&
+    parsed.system.toLowerCase() === existing.system_name.toLowerCase();
+  if (sameSystem) reasons.push(`same system (${existing.system_name})`);
+
+  const existingText = `${existing.summary || ''} ${existing.raw_input || ''}`.toLowerCase();
+  const shared = mentions.filter(mention => existingText.includes(String(mention).toLowerCase()));
+  const entityScore = mentions.length ? shared.length / mentions.length : 0;
+  if (shared.length) reasons.push(`mentions ${shared.join(', ')}`);
+
+  const score = WEIGHTS.summary * summaryScore
+    + WEIGHTS.system * (sameSystem ? 1 : 0)
+    + WEIGHTS.entities * entityScore;
+
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Find likely duplicates of parsed tasks among open tasks
+ *
+ * @param {Array} parsedTasks - Tasks from the lob parser
+ * @param {Array} openTasks - Existing tasks to compare with (see listOpenTasks)
+ * @param {Array} entities - The lob's extracted entities; dates are ignored when matching
+ * @returns {Array<{position, matches: Array<{taskId, summary, status, systemName, similarity, reasons}>}>}
+ *   Only parsed tasks with at least one match are listed
+ */
+export function findDuplicates(parsedTasks, openTasks, entities = []) {
+  const dates = new Set(entities.filter(entity => entity.type === 'date').map(entity => entity.mention));
+  const minScore = threshold();
+  const results = [];
+
+  for (const parsed of parsedTasks) {
+    if (parsed.classification === 'venting') continue;
+
+    const mentions = (parsed.relatedEntities || []).filter(mention => !dates.has(mention));
+    const matches = openTasks
+      .map(existing => ({ existing, ...scoreDuplicate(parsed, existing, mentions) }))
+      .filter(({ score }) => score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_MATCHES)
+      .map(({ existing, score, reasons }) => ({
+        taskId: existing.id,
+        summary: existing.summary,
+        status: existing.status,
+        systemName: existing.system_name || null,
+        similarity: score,
+        reasons,
+      }));
+
+    if (matches.length) {
+      results.push({ position: parsed.position, matches });
+    }
+  }
+
+  return results;
+}
+
+export default {
+  listOpenTasks,
+  scoreDuplicate,
+  findDuplicates,
+};
@@ -10,6 +10,7 @@
  */
 
 import { companyBrain, resolutions } from './pocketbase.js';
+import { normalizeDeadline } from './date-normalizer.js';
 
 /**
  * Fuzzy matching score (0-1) for string similarity
@@ -109,9 +110,10 @@ export class EntityResolver {
   /**
    * Resolve all entities from a parsed lob
    * @param {Array} entities - Extracted entities from parser
+   * @param {object} options - { referenceDate, timezone } for date entities
    * @returns {Promise<{resolved: Array, ambiguous: Array}>}
    */
-  async resolveAll(entities) {
+  async resolveAll(entities, options = {}) {
     const resolved = [];
     const ambiguous = [];
 
@@ -134,15 +136,30 @@ export class EntityResolver {
         case 'account':
           matches = await this.findAccount(entity.mention);
           break;
-        case 'date':
-          // Dates don't need resolution, just normalization
-          resolved.push({
-            ...entity,
-            resolved: true,
-            resolvedTo: entity.mention,
-            confidence: 1.0,
-          });
+        case 'date': {
+          // Dates don't need a backend lookup, just normalization
+          const normalized = entity.normalized || normalizeDeadline(entity.mention, options);
+
+          if (!normalized?.iso || normalized.ambiguous) {
+            ambiguous.push({
+              ...entity,
+              normalized,
+              resolved: false,
+              possibleMatches: (normalized?.alternatives || []).map(iso => ({ id: iso, name: iso })),
+              clarificationQuestion: normalized?.clarificationQuestion || `When is "${entity.mention}"?`,
+            });
+          } else {
+            resolved.push({
+              ...entity,
+              normalized,
+              resolved: true,
+              resolvedTo: normalized.iso,
+              resolvedName: normalized.localDate,
+              confidence: 1.0,
+            });
+          }
           continue;
+        }
       }
 
       if (matches.length === 0) {
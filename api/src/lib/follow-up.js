@@ -0,0 +1,236 @@
+/**
+ * Follow-up Lobs
+ *
+ * A sender often lobs again minutes later - "also about that WordPress
+ * thing, it's the checkout page now". That isn't a new task, it's news
+ * about an old one. After parsing, the new lob's tasks are compared with
+ * the sender's conversation so far (their recent lobs and open tasks) by
+ * FOLLOW_UP_PROMPT, which returns updates to existing tasks:
+ *
+ * - newInfo: what the sender added
+ * - deadline: a new or changed deadline, normalized like the parser's
+ * - answeredMissingInfo: answers to the task's open questions
+ *
+ * Updates only point at tasks the model was shown, and only answer
+ * questions the task actually has. POST /api/tasks/from-lob applies them
+ * (applyFollowUp) instead of creating the tasks again.
+ *
+ * Configure via environment:
+ * - FOLLOW_UP_WINDOW_HOURS: how far back recent lobs are shown (default 24)
+ * - FOLLOW_UP_MAX_TASKS: open tasks shown to the model, newest first (default 15)
+ */
+
+import { jsonCompletionWithMetadata } from './ai-provider.js';
+import { validateFollowUpOutput } from './lob-schema.js';
+import { resolvePrompt } from './prompt-registry.js';
+import { tasks, threads, lobSessions } from './pocketbase.js';
+import { normalizeDeadline } from './date-normalizer.js';
+import { languageName, resolveOutputLanguage } from './language.js';
+
+export const FOLLOW_UP_OPTIONS = {
+  temperature: 0.2,
+  maxTokens: 1500,
+  taskType: 'logic', // Matching, not writing
+};
+
+// Recent lobs shown to the model
+const MAX_RECENT_LOBS = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function normalizeQuestion(question) {
+  return String(question || '').trim().toLowerCase();
+}
+
+/**
+ * The sender's conversation so far: recent lob sessions and open tasks
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} sender - Who is lobbing
+ * @param {object} options
+ * @param {number} options.hours - How far back lobs count as recent (default FOLLOW_UP_WINDOW_HOURS)
+ * @param {number} options.maxTasks - Open tasks to include (default FOLLOW_UP_MAX_TASKS)
+ * @returns {Promise<{recentLobs: Array, openTasks: Array}>} lob_sessions and tasks records, newest first
+ */
+export async function loadConversation(workspaceId, sender, {
+  hours = envNumber('FOLLOW_UP_WINDOW_HOURS', 24),
+  maxTasks = envNumber('FOLLOW_UP_MAX_TASKS', 15),
+} = {}) {
+  const since = new Date(Date.now() - hours * HOUR_MS).toISOString().replace('T', ' ');
+
+  // Both come back oldest first
+  const [sessions, open] = await Promise.all([
+    lobSessions.listAll(`workspace = "${workspaceId}" && sender = "${sender}" && created >= "${since}"`),
+    tasks.listAll(`workspace = "${workspaceId}" && sender = "${sender}" && status != "done"`),
+  ]);
+
+  return {
+    recentLobs: sessions.slice(-MAX_RECENT_LOBS).reverse(),
+    openTasks: open.slice(-maxTasks).reverse(),
+  };
+}
+
+/**
+ * Keep only what the update can back up: questions the task really has,
+ * and a deadline that resolves to a date
+ */
+function groundUpdate(update, task, parsed, dateOptions) {
+  const questions = task.missing_info || [];
+  const answered = update.answeredMissingInfo
+    .map(item => ({
+      question: questions.find(question => normalizeQuestion(question) === normalizeQuestion(item?.question)),
+      answer: String(item?.answer || '').trim(),
+    }))
+    .filter(item => item.question && item.answer);
+
+  const deadline = normalizeDeadline(update.deadline, dateOptions);
+
+  return {
+    position: update.position,
+    taskId: task.id,
+    summary: task.summary,
+    rawChunk: parsed.rawChunk,
+    span: parsed.span ?? null,
+    images: parsed.images || [],
+    newInfo: update.newInfo,
+    deadline: deadline?.iso || null,
+    deadlineText: deadline?.iso ? update.deadline : null,
+    previousDeadline: task.deadline || null,
+    answeredMissingInfo: answered,
+  };
+}
+
+/**
+ * Split a parse into updates to existing tasks and genuinely new tasks
+ *
+ * @param {Array} parsedTasks - Tasks from parseLob
+ * @param {object} conversation - { recentLobs, openTasks } (see loadConversation)
+ * @param {object} options
+ * @param {string} options.workspace - Workspace ID, for prompt selection
+ * @param {object} options.routes - Workspace AI routing overrides (workspaces.ai_routes)
+ * @param {string} options.outputLanguage - Language to write newInfo and answers in
+ * @param {string} options.timezone - Sender's timezone, for new deadlines
+ * @param {Date|string} options.referenceDate - When the lob was sent (default: now)
+ * @param {string} options.unit - Stable id for prompt experiments (e.g. the lobId)
+ * @returns {Promise<{updates: Array, tasks: Array, meta: object|null}>}
+ *   tasks are the parsed tasks that aren't updates; meta is null when there
+ *   was nothing to compare (no model call)
+ */
+export async function detectFollowUps(parsedTasks, { recentLobs = [], openTasks = [] }, {
+  workspace = null,
+  routes = null,
+  outputLanguage = null,
+  timezone,
+  referenceDate = new Date(),
+  unit = null,
+} = {}) {
+  // Venting is stored on its own (see venting.js), never as an update
+  const candidates = parsedTasks.filter(task => task.classification !== 'venting');
+  if (candidates.length === 0 || openTasks.length === 0) {
+    return { updates: [], tasks: parsedTasks, meta: null };
+  }
+
+  const { content, ...promptInfo } = await resolvePrompt('follow_up', { workspace, unit });
+  const language = resolveOutputLanguage(outputLanguage);
+
+  const conversation = {
+    newTasks: candidates.map(task => ({
+      position: task.position,
+      rawChunk: task.rawChunk,
+      summary: task.summary,
+      system: task.system || null,
+      deadline: task.deadlineText || task.deadline || null,
+    })),
+    recentLobs: recentLobs.map(lob => ({ sentAt: lob.created, rawInput: lob.raw_input })),
+    openTasks: openTasks.map(task => ({
+      id: task.id,
+      summary: task.summary,
+      system: task.system_name || null,
+      status: task.status,
+      deadline: task.deadline || null,
+      missingInfo: task.missing_info || [],
+    })),
+  };
+
+  const { data, metadata } = await jsonCompletionWithMetadata([
+    {
+      role: 'system',
+      content: `${content}\n\nWrite newInfo and answers in ${languageName(language)} (${language}).`,
+    },
+    { role: 'user', content: JSON.stringify(conversation, null, 2) },
+  ], { ...FOLLOW_UP_OPTIONS, routes, validate: validateFollowUpOutput });
+
+  const known = new Map(openTasks.map(task => [task.id, task]));
+  const byPosition = new Map(candidates.map(task => [task.position, task]));
+  const updates = [];
+
+  for (const update of data.updates) {
+    const task = known.get(update.taskId);
+    const parsed = byPosition.get(update.position);
+    // Only tasks it was shown, and one update per new task
+    if (!task || !parsed || updates.some(existing => existing.position === update.position)) continue;
+
+    updates.push(groundUpdate(update, task, parsed, { timezone, referenceDate }));
+  }
+
+  const updated = new Set(updates.map(update => update.position));
+  return {
+    updates,
+    tasks: parsedTasks.filter(task => !updated.has(task.position)),
+    meta: { ...metadata, prompt: promptInfo },
+  };
+}
+
+/**
+ * Apply a follow-up to its task
+ *
+ * What the sender said goes on the task's thread, followed by a system
+ * event per change. A new deadline replaces the old one, and answered
+ * questions leave missing_info. The sender may have edited the deadline,
+ * so it's normalized again; one that doesn't resolve to a date is ignored.
+ *
+ * @param {object} update - From detectFollowUps (as possibly edited by the sender)
+ * @param {object} options
+ * @param {string} options.sender - Who lobbed the follow-up
+ * @param {string} options.timezone - Sender's timezone, for a deadline that is still a phrase
+ * @param {Date|string} options.referenceDate - When the lob was sent (default: now)
+ * @returns {Promise<object>} The updated task
+ */
+export async function applyFollowUp(update, { sender, timezone, referenceDate = new Date() }) {
+  const task = await tasks.get(update.taskId);
+  const answered = update.answeredMissingInfo || [];
+  const changes = {};
+
+  const deadline = normalizeDeadline(update.deadline, { timezone, referenceDate });
+  if (deadline?.iso) {
+    changes.deadline = deadline.iso;
+  }
+  if (answered.length) {
+    const questions = new Set(answered.map(item => normalizeQuestion(item.question)));
+    changes.missing_info = (task.missing_info || []).filter(question => !questions.has(normalizeQuestion(question)));
+  }
+
+  await threads.addMessage(task.id, sender, 'user', update.rawChunk || update.newInfo);
+
+  const notes = [];
+  if (update.newInfo) notes.push(`Follow-up: ${update.newInfo}`);
+  if (changes.deadline) notes.push(`Deadline changed: ${changes.deadline} ("${update.deadlineText || changes.deadline}")`);
+  for (const { question, answer } of answered) notes.push(`Answered "${question}": ${answer}`);
+  for (const note of notes) {
+    await threads.addSystemEvent(task.id, 'system', note);
+  }
+
+  return Object.keys(changes).length ? tasks.update(task.id, changes) : task;
+}
+
+export default {
+  FOLLOW_UP_OPTIONS,
+  loadConversation,
+  detectFollowUps,
+  applyFollowUp,
+};
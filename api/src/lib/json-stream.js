@@ -0,0 +1,154 @@
+/**
+ * Incremental JSON Parser
+ *
+ * Picks complete objects out of a JSON document while it is still being
+ * streamed from the model. The Lob Catcher output is a single object whose
+ * top-level keys hold arrays ("tasks", "entities"); each element of those
+ * arrays is emitted as soon as its closing brace arrives, so the client can
+ * render a task before the rest of the response exists.
+ *
+ * Anything before the first "{" (e.g. a markdown code fence) is skipped.
+ */
+
+export class IncrementalJsonParser {
+  constructor() {
+    this.buffer = '';
+    this.index = 0;
+    this.rootStart = -1;
+    this.rootEnd = -1;
+    this.stack = [];
+    this.inString = false;
+    this.escaped = false;
+    this.stringStart = -1;
+    this.lastString = null;
+    this.currentKey = null;
+    this.arrayKey = null;
+    this.elementStart = -1;
+  }
+
+  /**
+   * Feed the next chunk of text
+   * @param {string} chunk - Raw text delta from the model
+   * @returns {Array<{key: string, value: object}>} Objects completed by this chunk
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const completed = [];
+
+    for (; this.index < this.buffer.length; this.index++) {
+      if (this.rootEnd >= 0) break;
+
+      const char = this.buffer[this.index];
+
+      if (this.rootStart < 0) {
+        if (char === '{') {
+          this.rootStart = this.index;
+          this.stack.push('{');
+        }
+        continue;
+      }
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          if (this.stack.length === 1) {
+            this.lastString = JSON.parse(this.buffer.slice(this.stringStart, this.index + 1));
+          } else if (this.isInsideTopLevelArray()) {
+            // Bare strings in the array are not objects - skip them
+            this.elementStart = -1;
+          }
+        }
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          this.inString = true;
+          this.stringStart = this.index;
+          this.markElementStart();
+          break;
+
+        case ':':
+          if (this.stack.length === 1) {
+            this.currentKey = this.lastString;
+          }
+          break;
+
+        case '{':
+        case '[':
+          this.markElementStart();
+          this.stack.push(char);
+          if (char === '[' && this.stack.length === 2) {
+            this.arrayKey = this.currentKey;
+          }
+          break;
+
+        case '}':
+        case ']':
+          this.stack.pop();
+          if (this.stack.length === 0) {
+            this.rootEnd = this.index;
+          } else if (this.isInsideTopLevelArray() && this.elementStart >= 0) {
+            const value = this.parseSlice(this.elementStart, this.index + 1);
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+              completed.push({ key: this.arrayKey, value });
+            }
+            this.elementStart = -1;
+          }
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Parse the full document once the stream has ended
+   * @returns {object} The complete parsed JSON object
+   */
+  finish() {
+    if (this.rootStart < 0 || this.rootEnd < 0) {
+      throw new Error('Failed to parse JSON response: stream ended before the JSON object closed');
+    }
+
+    return JSON.parse(this.buffer.slice(this.rootStart, this.rootEnd + 1));
+  }
+
+  /**
+   * True when the parser sits directly inside an array under a top-level key
+   */
+  isInsideTopLevelArray() {
+    return this.stack.length === 2 && this.stack[1] === '[';
+  }
+
+  /**
+   * Remember where an array element begins
+   */
+  markElementStart() {
+    if (this.isInsideTopLevelArray() && this.elementStart < 0) {
+      this.elementStart = this.index;
+    }
+  }
+
+  /**
+   * Parse a slice of the buffer, ignoring malformed elements
+   */
+  parseSlice(start, end) {
+    try {
+      return JSON.parse(this.buffer.slice(start, end));
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+export default {
+  IncrementalJsonParser,
+};
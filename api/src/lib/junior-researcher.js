@@ -0,0 +1,165 @@
+/**
+ * Junior Researcher
+ *
+ * Level 5 - "Research When I Can't". For a vague task:
+ * 1. RESEARCH_PROMPT drafts an understanding, search queries and a plan,
+ *    with the workspace's past resolutions as context
+ * 2. The queries run through the search adapter (see search-adapter.js)
+ * 3. The results go back to the model, which revises the plan and cites
+ *    the sources it used
+ *
+ * Configure via environment:
+ * - RESEARCH_MAX_QUERIES: search queries to run per task (default 3)
+ * - RESEARCH_RESULTS_PER_QUERY: results kept per query (default 3)
+ */
+
+import { jsonCompletionWithMetadata } from './ai-provider.js';
+import { validateResearchOutput } from './lob-schema.js';
+import { resolvePrompt } from './prompt-registry.js';
+import { getMemoryService } from './memory-service.js';
+import { getSearchAdapter } from './search-adapter.js';
+
+export const RESEARCH_OPTIONS = {
+  temperature: 0.4,
+  maxTokens: 2000,
+  taskType: 'creative', // Drafting a plan, not extracting structure
+};
+
+// Task fields the model sees
+const TASK_FIELDS = ['summary', 'raw_input', 'current_state', 'desired_outcome', 'system_name', 'missing_info'];
+
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Run the drafted queries, keeping each source once
+ * A failed query is logged and skipped - the plan can still use the rest.
+ */
+async function runSearches(adapter, queries) {
+  const perQuery = envNumber('RESEARCH_RESULTS_PER_QUERY', 3);
+  const sources = [];
+  const seen = new Set();
+  const failures = [];
+
+  for (const query of queries) {
+    try {
+      for (const result of await adapter.search(query, { limit: perQuery })) {
+        if (seen.has(result.url)) continue;
+        seen.add(result.url);
+        sources.push({ id: sources.length + 1, query, ...result });
+      }
+    } catch (error) {
+      console.error(`Research search failed (${adapter.name}: "${query}"):`, error.message);
+      failures.push({ query, error: error.message });
+    }
+  }
+
+  return { sources, failures };
+}
+
+function formatSources(sources) {
+  return sources.map(source =>
+    `[${source.id}] ${source.title}\n${source.url}\n${source.snippet}`
+  ).join('\n\n');
+}
+
+/**
+ * Research a task and draft a plan
+ *
+ * @param {object} task - tasks record
+ * @param {object} options
+ * @param {object} options.routes - Workspace AI routing overrides (workspaces.ai_routes)
+ * @param {object} options.search - Search adapter (default: getSearchAdapter())
+ * @param {Function} options.onCompletion - Called with each model call's metadata (for usage)
+ * @returns {Promise<{research, plan, meta}>}
+ *   research: { understanding, searchQueries, relatedResolutions, questionsForSender,
+ *               sources, searchProvider, searchFailures }
+ *   plan: { steps, sources } - sources the final plan cites
+ */
+export async function researchTask(task, {
+  routes = null,
+  search = getSearchAdapter(),
+  onCompletion = () => {},
+} = {}) {
+  const { content, ...promptInfo } = await resolvePrompt('research', {
+    workspace: task.workspace,
+    unit: task.id,
+  });
+
+  const pastResolutions = await getMemoryService(task.workspace).searchSimilar(task.summary || '', {
+    limit: 3,
+    systemName: task.system_name || null,
+  });
+
+  const taskView = Object.fromEntries(
+    TASK_FIELDS.filter(field => task[field]?.length).map(field => [field, task[field]])
+  );
+
+  let systemPrompt = content;
+  if (pastResolutions.length) {
+    systemPrompt += `\n\n## Past Resolutions\n${JSON.stringify(pastResolutions, null, 2)}`;
+  }
+
+  // Pass 1: understand the task and decide what to search for
+  const draftMessages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: JSON.stringify(taskView, null, 2) },
+  ];
+  const draft = await jsonCompletionWithMetadata(draftMessages, {
+    ...RESEARCH_OPTIONS,
+    routes,
+    validate: validateResearchOutput,
+  });
+  await onCompletion(draft.metadata);
+
+  const queries = draft.data.searchQueries
+    .filter(query => typeof query === 'string' && query.trim())
+    .slice(0, envNumber('RESEARCH_MAX_QUERIES', 3));
+  const { sources, failures } = await runSearches(search, queries);
+
+  // Pass 2: revise the plan with what the searches found
+  let final = draft;
+  if (sources.length) {
+    final = await jsonCompletionWithMetadata([
+      ...draftMessages,
+      { role: 'assistant', content: JSON.stringify(draft.data) },
+      {
+        role: 'user',
+        content: `Search results for your queries:\n\n${formatSources(sources)}\n\n` +
+          'Revise your plan using these results. Cite sources by number, e.g. "[2]", in the ' +
+          'steps they support; ignore results that are not relevant. Return the same JSON format.',
+      },
+    ], { ...RESEARCH_OPTIONS, routes, validate: validateResearchOutput });
+    await onCompletion(final.metadata);
+  }
+
+  const steps = final.data.proposedPlan.map(String);
+  const cited = new Set(
+    steps.flatMap(step => [...step.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])))
+  );
+
+  return {
+    research: {
+      understanding: final.data.understanding,
+      searchQueries: queries,
+      relatedResolutions: final.data.relatedResolutions,
+      questionsForSender: final.data.questionsForSender,
+      sources,
+      searchProvider: search.name,
+      searchFailures: failures,
+      researchedAt: new Date().toISOString(),
+    },
+    plan: {
+      steps,
+      sources: sources.filter(source => cited.has(source.id)),
+    },
+    meta: { ...final.metadata, prompt: promptInfo, searches: queries.length },
+  };
+}
+
+export default {
+  RESEARCH_OPTIONS,
+  researchTask,
+};
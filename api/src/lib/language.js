@@ -0,0 +1,129 @@
+/**
+ * Lob Languages
+ *
+ * People lob in whatever language they think in; the parser writes the
+ * readable fields (summary, missingInfo, selfServiceSteps) in the
+ * workspace's or recipient's language and keeps rawChunk as it was said.
+ *
+ * Languages are ISO 639-1 codes ("es"). Whisper reports full names
+ * ("spanish"), so those are mapped back to codes.
+ *
+ * Configure via environment:
+ * - DEFAULT_LANGUAGE: output language when neither the request nor the
+ *   workspace sets one (default "en")
+ */
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Languages Whisper transcribes, so a transcript's language can be mapped back
+const LANGUAGE_CODES = [
+  'af', 'ar', 'hy', 'az', 'be', 'bs', 'bg', 'ca', 'zh', 'hr', 'cs', 'da', 'nl', 'en', 'et', 'fi',
+  'fr', 'gl', 'de', 'el', 'he', 'hi', 'hu', 'is', 'id', 'it', 'ja', 'kn', 'kk', 'ko', 'lv', 'lt',
+  'mk', 'ms', 'mr', 'mi', 'ne', 'no', 'fa', 'pl', 'pt', 'ro', 'ru', 'sr', 'sk', 'sl', 'es', 'sw',
+  'sv', 'tl', 'ta', 'th', 'tr', 'uk', 'ur', 'vi', 'cy',
+];
+
+// Names Whisper uses that differ from the English display name
+const NAME_ALIASES = {
+  tagalog: 'tl',
+  maori: 'mi',
+  castilian: 'es',
+  mandarin: 'zh',
+  valencian: 'ca',
+  flemish: 'nl',
+};
+
+const CODES_BY_NAME = Object.fromEntries(
+  LANGUAGE_CODES.map(code => [displayNames.of(code).toLowerCase(), code])
+);
+
+/**
+ * Normalize a language code or name to an ISO 639-1 code
+ * "es", "es-MX", "Spanish" -> "es"; unknown values -> null
+ */
+export function normalizeLanguage(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const cleaned = value.trim().toLowerCase();
+  const tag = cleaned.match(/^([a-z]{2})(?:[-_][a-z0-9]+)*$/);
+  if (tag) return tag[1];
+
+  return NAME_ALIASES[cleaned] || CODES_BY_NAME[cleaned] || null;
+}
+
+/**
+ * English name of a language code ("es" -> "Spanish")
+ */
+export function languageName(code) {
+  try {
+    return displayNames.of(code);
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * The language parser output should be written in
+ * @param {...string} preferences - Most specific first (request, workspace)
+ */
+export function resolveOutputLanguage(...preferences) {
+  for (const preference of preferences) {
+    const code = normalizeLanguage(preference);
+    if (code) return code;
+  }
+  return normalizeLanguage(process.env.DEFAULT_LANGUAGE) || 'en';
+}
+
+/**
+ * Render the language rules as a system prompt section
+ *
+ * @param {object} language
+ * @param {string} language.output - Code to write output fields in
+ * @param {string} language.input - Detected input language, if known (e.g. from transcription)
+ */
+export function formatLanguageInstructions({ output, input = null }) {
+  const outputName = `${languageName(output)} (${output})`;
+  const lines = [
+    '\n\n## Language',
+    `Write summary, missingInfo, selfServiceSteps and ventingResponse in ${outputName}.`,
+    'Keep rawChunk exactly as it was said, in its original language - never translate it.',
+    'Set each task\'s "language" to the ISO 639-1 code of its rawChunk. People switch languages ' +
+      'mid-lob, so decide per chunk.',
+    `When a task's language is not "${output}", also set "original" to ` +
+      '{ "summary", "missingInfo", "selfServiceSteps" } written in the chunk\'s own language.',
+  ];
+
+  if (input && input !== output) {
+    lines.push(`The lob is mostly in ${languageName(input)} (${input}).`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Summarize the languages a parse found
+ * @returns {{input: string|null, output: string, mixed: boolean, languages: string[]}}
+ */
+export function describeLanguages(tasks, { output, input = null }) {
+  const counts = new Map();
+  for (const task of tasks) {
+    const code = normalizeLanguage(task.language);
+    if (code) counts.set(code, (counts.get(code) || 0) + 1);
+  }
+
+  const languages = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  return {
+    input: input || languages[0] || null,
+    output,
+    mixed: languages.length > 1,
+    languages,
+  };
+}
+
+export default {
+  normalizeLanguage,
+  languageName,
+  resolveOutputLanguage,
+  formatLanguageInstructions,
+  describeLanguages,
+};
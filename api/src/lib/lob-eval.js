@@ -0,0 +1,310 @@
+/**
+ * Lob Parser Evaluation
+ *
+ * Scores parseLob against the fixtures in test/fixtures (jeff_lobs.json,
+ * edge_cases.json). Each fixture declares `expectedTasks` and, optionally,
+ * `expectedClassifications`; a fixture passes when the parser produces the
+ * same task count and the same number of tasks per classification.
+ *
+ * Runs can compare variants side by side - e.g. two providers, or the
+ * current prompt against a candidate - and produce a JSON report that can
+ * be checked in or diffed for regression tracking.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseLob } from './lob-parser.js';
+import { CLASSIFICATIONS } from './lob-schema.js';
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../../../test/fixtures', import.meta.url));
+
+/**
+ * Load every fixture file in the fixtures directory
+ * Fixture files hold their cases under `lobs` or `cases`.
+ *
+ * @param {object} options
+ * @param {string[]} options.sets - Only these files (e.g. ['jeff_lobs'])
+ * @param {string[]} options.ids - Only these fixture ids
+ * @param {string} options.dir - Fixtures directory (default: test/fixtures)
+ * @returns {Promise<Array>} Fixtures tagged with their `set`
+ */
+export async function loadFixtures({ sets = null, ids = null, dir = DEFAULT_FIXTURES_DIR } = {}) {
+  const files = (await readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  const fixtures = [];
+
+  for (const file of files) {
+    const set = file.replace(/\.json$/, '');
+    if (sets && !sets.includes(set)) continue;
+
+    const data = JSON.parse(await readFile(join(dir, file), 'utf8'));
+    for (const fixture of data.lobs || data.cases || []) {
+      if (ids && !ids.includes(fixture.id)) continue;
+      fixtures.push({ set, ...fixture });
+    }
+  }
+
+  return fixtures;
+}
+
+/**
+ * Count tasks per classification
+ */
+function countClassifications(tasks) {
+  const counts = {};
+  for (const task of tasks) {
+    counts[task.classification] = (counts[task.classification] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Expected classification counts for a fixture, or null if it doesn't say
+ * A fixture expecting zero tasks implicitly expects zero of every class.
+ */
+function expectedClassificationsFor(fixture) {
+  if (fixture.expectedClassifications) return fixture.expectedClassifications;
+  if (fixture.expectedTasks === 0) return {};
+  return null;
+}
+
+/**
+ * Score one parse result against its fixture
+ */
+export function scoreFixture(fixture, tasks) {
+  const actualClassifications = countClassifications(tasks);
+  const expectedClassifications = expectedClassificationsFor(fixture);
+  const failures = [];
+
+  if (tasks.length !== fixture.expectedTasks) {
+    failures.push(`expected ${fixture.expectedTasks} tasks, got ${tasks.length}`);
+  }
+
+  if (expectedClassifications) {
+    for (const classification of CLASSIFICATIONS) {
+      const expected = expectedClassifications[classification] || 0;
+      const actual = actualClassifications[classification] || 0;
+      if (expected !== actual) {
+        failures.push(`expected ${expected} ${classification}, got ${actual}`);
+      }
+    }
+  }
+
+  return {
+    pass: failures.length === 0,
+    failures,
+    expectedTasks: fixture.expectedTasks,
+    actualTasks: tasks.length,
+    expectedClassifications,
+    actualClassifications,
+  };
+}
+
+/**
+ * Per-classification precision/recall from count distributions
+ *
+ * The fixtures only give counts, not which chunk is which, so matches are
+ * counted per fixture as min(expected, actual) for each classification.
+ */
+function classificationMetrics(results) {
+  const metrics = {};
+
+  for (const classification of CLASSIFICATIONS) {
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+
+    for (const result of results) {
+      if (!result.expectedClassifications || result.error) continue;
+
+      const expected = result.expectedClassifications[classification] || 0;
+      const actual = result.actualClassifications[classification] || 0;
+      const matched = Math.min(expected, actual);
+
+      truePositives += matched;
+      falsePositives += actual - matched;
+      falseNegatives += expected - matched;
+    }
+
+    metrics[classification] = {
+      precision: ratio(truePositives, truePositives + falsePositives),
+      recall: ratio(truePositives, truePositives + falseNegatives),
+      truePositives,
+      falsePositives,
+      falseNegatives,
+    };
+  }
+
+  return metrics;
+}
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+/**
+ * Sum token usage and cost across results (when the provider reports them)
+ */
+function totalUsage(results) {
+  const totals = { inputTokens: 0, outputTokens: 0, cost: 0, reported: 0 };
+
+  for (const result of results) {
+    const usage = result.meta?.usage;
+    if (!usage) continue;
+
+    totals.inputTokens += usage.inputTokens || 0;
+    totals.outputTokens += usage.outputTokens || 0;
+    totals.cost += usage.cost || 0;
+    totals.reported++;
+  }
+
+  return totals;
+}
+
+/**
+ * Aggregate a variant's fixture results
+ */
+function summarize(results) {
+  // Noise never reached a model, so it would only drag the latencies down
+  const latencies = results
+    .filter(result => !result.meta?.filtered)
+    .map(result => result.meta?.latencyMs)
+    .filter(latency => typeof latency === 'number')
+    .sort((a, b) => a - b);
+  const totalLatency = latencies.reduce((sum, latency) => sum + latency, 0);
+  const passed = results.filter(result => result.pass).length;
+
+  return {
+    fixtures: results.length,
+    passed,
+    failed: results.length - passed,
+    errors: results.filter(result => result.error).length,
+    passRate: ratio(passed, results.length),
+    taskCountAccuracy: ratio(
+      results.filter(result => !result.error && result.actualTasks === result.expectedTasks).length,
+      results.length
+    ),
+    classifications: classificationMetrics(results),
+    cacheHits: results.filter(result => result.meta?.cache?.hit).length,
+    filtered: results.filter(result => result.meta?.filtered).length,
+    latencyMs: {
+      total: totalLatency,
+      mean: latencies.length ? Math.round(totalLatency / latencies.length) : null,
+      p50: latencies.length ? latencies[Math.floor((latencies.length - 1) * 0.5)] : null,
+      max: latencies.length ? latencies[latencies.length - 1] : null,
+    },
+    usage: totalUsage(results),
+  };
+}
+
+/**
+ * Run every fixture through one variant
+ *
+ * @param {Array} fixtures - From loadFixtures()
+ * @param {object} variant
+ * @param {string} variant.name - Label for the report
+ * @param {string} variant.provider - Provider chain spec ("groq", "mistral:mistral-large-latest,groq")
+ * @param {string} variant.prompt - System prompt override
+ * @param {boolean} variant.cache - Use the parse cache (default true; hits report no latency or usage to compare)
+ * @param {Function} onResult - Optional progress callback (result, index)
+ */
+export async function evaluateVariant(fixtures, variant = {}, onResult = null) {
+  const routes = variant.provider ? { logic: variant.provider } : null;
+  const results = [];
+
+  for (const [index, fixture] of fixtures.entries()) {
+    const base = { id: fixture.id, set: fixture.set, name: fixture.name };
+    let result;
+
+    // Blank and noise-only input is answered by the noise filter - no model call
+    try {
+      const { tasks, meta } = await parseLob(fixture.input || '', {
+        routes,
+        prompt: variant.prompt,
+        cache: variant.cache !== false,
+      });
+      result = {
+        ...base,
+        ...scoreFixture(fixture, tasks),
+        summaries: tasks.map(task => `[${task.classification}] ${task.summary}`),
+        meta,
+      };
+    } catch (error) {
+      result = {
+        ...base,
+        ...scoreFixture(fixture, []),
+        pass: false,
+        error: error.message,
+        meta: null,
+      };
+    }
+
+    results.push(result);
+    if (onResult) onResult(result, index);
+  }
+
+  return {
+    name: variant.name || variant.provider || 'default',
+    provider: variant.provider || null,
+    customPrompt: !!variant.prompt,
+    summary: summarize(results),
+    results,
+  };
+}
+
+/**
+ * Run the eval for one or more variants and build the report
+ *
+ * @param {object} options
+ * @param {Array} options.variants - [{ name, provider, prompt }] (default: current configuration)
+ * @param {string[]} options.sets - Fixture files to include
+ * @param {string[]} options.ids - Fixture ids to include
+ * @param {Function} options.onResult - Progress callback (variant, result, index)
+ * @param {boolean} options.cache - Serve repeat parses from the parse cache (default true)
+ * @returns {Promise<object>} JSON-serializable report
+ */
+export async function runEval({ variants = [{}], sets = null, ids = null, onResult = null, cache = true } = {}) {
+  const fixtures = await loadFixtures({ sets, ids });
+  const evaluated = [];
+
+  for (const variant of variants) {
+    evaluated.push(await evaluateVariant(
+      fixtures,
+      { cache, ...variant },
+      onResult && ((result, index) => onResult(variant, result, index))
+    ));
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    fixtures: fixtures.length,
+    variants: evaluated,
+    ...(evaluated.length > 1 && { comparison: compareVariants(evaluated) }),
+  };
+}
+
+/**
+ * Fixture-by-fixture pass/fail across variants, plus the fixtures they disagree on
+ */
+function compareVariants(evaluated) {
+  const byFixture = evaluated[0].results.map((result, i) => ({
+    id: result.id,
+    set: result.set,
+    pass: Object.fromEntries(evaluated.map(variant => [variant.name, variant.results[i].pass])),
+  }));
+
+  return {
+    passRate: Object.fromEntries(evaluated.map(variant => [variant.name, variant.summary.passRate])),
+    fixtures: byFixture,
+    disagreements: byFixture
+      .filter(fixture => new Set(Object.values(fixture.pass)).size > 1)
+      .map(fixture => fixture.id),
+  };
+}
+
+export default {
+  loadFixtures,
+  scoreFixture,
+  evaluateVariant,
+  runEval,
+};
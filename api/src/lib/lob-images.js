@@ -0,0 +1,255 @@
+/**
+ * Lob Images
+ *
+ * Half of all lobs are "this page looks weird" plus a phone screenshot.
+ * Images sent with a lob (multipart `images` files) are shown to the
+ * parser next to the text, with ids in the order they were sent
+ * ("image_1", "image_2", ...), and the parser lists on each task the ids
+ * of the images that belong to it (task.images). POST /api/tasks/from-lob
+ * then stores those images on the tasks it creates.
+ *
+ * Parsers that can see images get them inline. When no provider on the
+ * parser's route can read images, each image is first described and its
+ * text copied (IMAGE_CAPTION_PROMPT, routed as the 'vision' task type),
+ * and the parser reads those captions instead. With no vision provider on
+ * either route, the parse fails with a ProviderCapabilityError.
+ *
+ * Configure via environment:
+ * - LOB_IMAGE_MAX_COUNT: images per lob (default 4)
+ * - LOB_IMAGE_MAX_MB: size limit per image (default 5)
+ */
+
+import { jsonCompletionWithMetadata } from './ai-provider.js';
+import { validateImageCaptionOutput } from './lob-schema.js';
+import { resolvePrompt } from './prompt-registry.js';
+
+export const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+export const CAPTION_OPTIONS = {
+  temperature: 0.2,
+  maxTokens: 800,
+  taskType: 'vision', // Needs a provider that can read images
+};
+
+// For files sent without a type (some clients send application/octet-stream)
+const EXTENSION_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+};
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * An attachment the API won't take (wrong type, too big, too many)
+ */
+export class ImageAttachmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageAttachmentError';
+  }
+}
+
+/**
+ * A field of a multipart lob request the API can't read (malformed JSON)
+ */
+export class FormFieldError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormFieldError';
+  }
+}
+
+function imageType(file) {
+  if (IMAGE_MIME_TYPES.includes(file.type)) return file.type;
+
+  const extension = String(file.name || '').split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[extension] || null;
+}
+
+/**
+ * Check one uploaded image against the allowed types and size
+ * @param {File} file - From multipart form data
+ * @returns {string} The image's MIME type
+ * @throws {ImageAttachmentError}
+ */
+export function validateImageFile(file) {
+  // Duck-typed: the File global is missing on Node 18
+  if (typeof file?.arrayBuffer !== 'function') {
+    throw new ImageAttachmentError('Images must be sent as files');
+  }
+
+  const mimeType = imageType(file);
+  if (!mimeType) {
+    throw new ImageAttachmentError(`${file.name || 'Image'} is not a supported image (${IMAGE_MIME_TYPES.join(', ')})`);
+  }
+
+  const maxMb = envNumber('LOB_IMAGE_MAX_MB', 5);
+  if (file.size > maxMb * 1024 * 1024) {
+    throw new ImageAttachmentError(`${file.name || 'Image'} is larger than ${maxMb} MB`);
+  }
+
+  return mimeType;
+}
+
+/**
+ * Read a lob's uploaded images for the parser
+ *
+ * @param {Array<File>} files - The request's `images` files, in order
+ * @returns {Promise<Array<{id, name, mimeType, size, data}>>} data is base64
+ * @throws {ImageAttachmentError}
+ */
+export async function readImageAttachments(files = []) {
+  const maxCount = envNumber('LOB_IMAGE_MAX_COUNT', 4);
+  if (files.length > maxCount) {
+    throw new ImageAttachmentError(`At most ${maxCount} images can be sent with a lob`);
+  }
+
+  const images = [];
+  for (const [index, file] of files.entries()) {
+    const mimeType = validateImageFile(file);
+    images.push({
+      id: `image_${index + 1}`,
+      name: file.name || `image_${index + 1}`,
+      mimeType,
+      size: file.size,
+      data: Buffer.from(await file.arrayBuffer()).toString('base64'),
+    });
+  }
+
+  return images;
+}
+
+/**
+ * Images without their data, for responses and storage
+ */
+export function describeImages(images) {
+  return images.map(({ data, ...image }) => image);
+}
+
+/**
+ * Describe each image, and copy its text, for a parser that can't see it
+ *
+ * @param {Array} images - From readImageAttachments
+ * @param {object} options
+ * @param {string} options.workspace - Workspace ID, for prompt selection
+ * @param {object} options.routes - Workspace AI routing overrides (workspaces.ai_routes)
+ * @param {string} options.unit - Stable id for prompt experiments
+ * @returns {Promise<{images: Array, metas: Array}>} images gain caption ({ description, text });
+ *   metas has one provider meta per image
+ */
+export async function captionImages(images, { workspace = null, routes = null, unit = null } = {}) {
+  const { content, ...promptInfo } = await resolvePrompt('image_caption', { workspace, unit });
+  const captioned = [];
+  const metas = [];
+
+  for (const image of images) {
+    const { data, metadata } = await jsonCompletionWithMetadata([
+      { role: 'system', content },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: `Image: ${image.name}` },
+          { type: 'image', mimeType: image.mimeType, data: image.data },
+        ],
+      },
+    ], { ...CAPTION_OPTIONS, routes, validate: validateImageCaptionOutput });
+
+    captioned.push({ ...image, caption: { description: data.description, text: data.text } });
+    metas.push({ ...metadata, prompt: promptInfo });
+  }
+
+  return { images: captioned, metas };
+}
+
+/**
+ * Parser instructions for a lob with images
+ * @param {Array} images - Attached images (captioned ones are described, not shown)
+ */
+export function formatImageInstructions(images) {
+  if (!images.length) return '';
+
+  const listed = images.map(image => `${image.id} (${image.name})`).join(', ');
+  const shown = images.some(image => image.caption)
+    ? 'You can\'t see them - each is described after the message, with the text it contains.'
+    : 'They follow the message, each labelled with its id.';
+
+  return `\n\n## Attached Images
+The sender attached ${images.length === 1 ? 'an image' : `${images.length} images`}: ${listed}. ${shown}
+- Read them as part of the lob: a screenshot of an error is the error being reported.
+- Give every task an "images" list with the ids of the images that belong to it, e.g. "images": ["image_1"]. Use [] for tasks no image is about.
+- A task that only an image shows still needs a rawChunk: copy the words from the image that show it.`;
+}
+
+/**
+ * The user message content for a lob with images: text and image parts,
+ * or the text with captions appended when the images were captioned
+ */
+export function imageMessageContent(input, images) {
+  if (!images.length) return input;
+
+  if (images.some(image => image.caption)) {
+    const captions = images.map(image => [
+      `[${image.id}: ${image.name}]`,
+      `Shows: ${image.caption.description}`,
+      ...(image.caption.text ? [`Text in image: ${image.caption.text}`] : []),
+    ].join('\n'));
+    return [input, ...captions].filter(Boolean).join('\n\n');
+  }
+
+  // Some providers reject empty text parts - a lob can be just a screenshot
+  return [
+    ...(input ? [{ type: 'text', text: input }] : []),
+    ...images.flatMap(image => [
+      { type: 'text', text: `[${image.id}: ${image.name}]` },
+      { type: 'image', mimeType: image.mimeType, data: image.data },
+    ]),
+  ];
+}
+
+/**
+ * Keep only image ids the lob really had on each task
+ * An image the parser gave to no task goes to the lob's only task, if it has one.
+ *
+ * @param {Array} tasks - Parsed tasks
+ * @param {Array} images - The lob's images
+ * @param {object} options
+ * @param {boolean} options.assignUnclaimed - Give unclaimed images to a lone task (default true;
+ *   off while streaming, when more tasks may follow)
+ */
+export function attributeImages(tasks, images, { assignUnclaimed = true } = {}) {
+  const ids = new Set(images.map(image => image.id));
+  const attributed = tasks.map(task => ({
+    ...task,
+    images: [...new Set((task.images || []).filter(id => ids.has(id)))],
+  }));
+
+  // Venting isn't stored as a task, so it can't hold an image
+  const taskItems = attributed.filter(task => task.classification !== 'venting');
+  if (assignUnclaimed && taskItems.length === 1) {
+    const claimed = new Set(attributed.flatMap(task => task.images));
+    const unclaimed = images.map(image => image.id).filter(id => !claimed.has(id));
+    taskItems[0].images.push(...unclaimed);
+  }
+
+  return attributed;
+}
+
+export default {
+  IMAGE_MIME_TYPES,
+  CAPTION_OPTIONS,
+  ImageAttachmentError,
+  FormFieldError,
+  validateImageFile,
+  readImageAttachments,
+  describeImages,
+  captionImages,
+  formatImageInstructions,
+  imageMessageContent,
+  attributeImages,
+};
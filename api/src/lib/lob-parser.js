@@ -0,0 +1,539 @@
+/**
+ * Lob Parser
+ *
+ * Stages 1-4 of the AI pipeline: lob detection, task separation,
+ * classification and entity extraction. Shared by the Lob Catcher routes
+ * and the eval harness, so both exercise exactly the same parsing path.
+ */
+
+import { jsonCompletionWithMetadata, jsonCompletionStream, addUsage, supportsVision } from './ai-provider.js';
+import { LOB_PARSER_PROMPT } from './prompts.js';
+import { IncrementalJsonParser } from './json-stream.js';
+import { validateLobOutput, validateTask, validateEntity } from './lob-schema.js';
+import { normalizeDeadline, normalizeLobDates, normalizeTaskDeadline } from './date-normalizer.js';
+import { getCachedParse, cacheParse, cachedMeta } from './parse-cache.js';
+import { resolvePrompt } from './prompt-registry.js';
+import { selectExamples, formatExamples } from './parse-examples.js';
+import {
+  normalizeLanguage,
+  resolveOutputLanguage,
+  formatLanguageInstructions,
+  describeLanguages,
+} from './language.js';
+import { resolveUrgencyThresholds, scoreTaskUrgency } from './tone-analyzer.js';
+import { detectNoise } from './noise-filter.js';
+import { segmentLob, mergeSegmentResults } from './lob-segmenter.js';
+import { groundParse, groundTask, groundEntity } from './span-aligner.js';
+import {
+  captionImages,
+  describeImages,
+  formatImageInstructions,
+  imageMessageContent,
+  attributeImages,
+} from './lob-images.js';
+
+export const PARSER_OPTIONS = {
+  temperature: 0.3, // Lower temperature for more consistent parsing
+  maxTokens: 3000, // Increased for entity extraction
+  taskType: 'logic', // Parsing is a logic task - ideal for DeepSeek/Groq
+};
+
+/**
+ * Build the parser messages, with company context and learned examples if available
+ *
+ * @param {string} input - The raw lob
+ * @param {object} companyContext - Company brain context for the prompt
+ * @param {string} prompt - System prompt (defaults to LOB_PARSER_PROMPT)
+ * @param {Array} examples - Learned corrections to show (see parse-examples.js)
+ * @param {object} language - { output, input } language codes (see language.js)
+ * @param {Array} images - Attached images, shown inline or as captions (see lob-images.js)
+ */
+export function buildParserMessages(
+  input,
+  companyContext = null,
+  prompt = LOB_PARSER_PROMPT,
+  examples = [],
+  language = null,
+  images = []
+) {
+  let systemPrompt = prompt;
+
+  if (companyContext) {
+    systemPrompt += `\n\n## Company Context\n${JSON.stringify(companyContext, null, 2)}`;
+  }
+
+  systemPrompt += formatExamples(examples);
+
+  if (language) {
+    systemPrompt += formatLanguageInstructions(language);
+  }
+
+  systemPrompt += formatImageInstructions(images);
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: imageMessageContent(input, images) }
+  ];
+}
+
+/**
+ * Pick the parser system prompt: an explicit override, else the registry's
+ * active version (or experiment arm) for the workspace
+ * @returns {Promise<{content: string, info: object}>} info is reported as meta.prompt
+ */
+async function resolveParserPrompt(input, { prompt, workspace, sender }) {
+  if (prompt) {
+    return { content: prompt, info: { name: 'lob_parser', version: 'custom', source: 'override', experiment: null } };
+  }
+
+  const { content, ...info } = await resolvePrompt('lob_parser', { workspace, unit: `${sender || ''}:${input}` });
+  return { content, info };
+}
+
+/**
+ * Output language (request, then workspace, then DEFAULT_LANGUAGE) and
+ * the input language if the caller knows it (e.g. from transcription)
+ */
+function parserLanguage({ outputLanguage, inputLanguage }) {
+  return {
+    output: resolveOutputLanguage(outputLanguage),
+    input: normalizeLanguage(inputLanguage),
+  };
+}
+
+/**
+ * Meta for a lob the noise filter caught - no model call, no tasks
+ */
+function filteredMeta(noise, startedAt, language) {
+  return {
+    provider: null,
+    model: null,
+    latencyMs: Date.now() - startedAt,
+    fallbacks: [],
+    usage: null,
+    prompt: null,
+    examples: [],
+    language: describeLanguages([], language),
+    cache: { hit: false, key: null },
+    segments: 0,
+    filtered: noise,
+  };
+}
+
+/**
+ * Get a lob's images ready for the parser: inline if its route can see
+ * them, else captioned by the 'vision' route first
+ * @returns {Promise<{images: Array, meta: object|null}>} meta is reported as meta.images
+ */
+async function prepareImages(images, { routes, workspace, sender }) {
+  if (!images.length) return { images, meta: null };
+
+  if (supportsVision({ taskType: PARSER_OPTIONS.taskType, routes })) {
+    return { images, meta: { mode: 'inline', attachments: describeImages(images), captionCalls: [] } };
+  }
+
+  const captioned = await captionImages(images, { workspace, routes, unit: sender });
+  return {
+    images: captioned.images,
+    meta: { mode: 'caption', attachments: describeImages(captioned.images), captionCalls: captioned.metas },
+  };
+}
+
+/**
+ * Post-parse stages: normalize dates, score urgency from tone, then ground
+ * tasks and entities in the input (span, spanMatch)
+ * Run on cached parses too - dates and urgency depend on when the lob was sent.
+ */
+function finishParse(parsed, input, dateOptions, urgencyOptions) {
+  const { tasks, entities } = normalizeLobDates(parsed, dateOptions);
+  return groundParse({ tasks: tasks.map(task => scoreTaskUrgency(task, urgencyOptions)), entities }, input);
+}
+
+/**
+ * Parse one segment of a lob (or the whole lob), from the parse cache if possible
+ * Segments are cached on their own, so a long lob sent again is all hits.
+ * @returns {Promise<{parsed: object, meta: object}>}
+ */
+async function parseSegment(segment, {
+  systemPrompt,
+  examples,
+  promptMeta,
+  companyContext,
+  routes,
+  cache,
+  language,
+  workspace,
+  images,
+}, startedAt) {
+  const lookup = cache
+    ? await getCachedParse({
+      input: segment,
+      prompt: systemPrompt.content,
+      taskType: PARSER_OPTIONS.taskType,
+      routes,
+      companyContext,
+      examples: promptMeta.examples,
+      language,
+      workspace,
+    })
+    : null;
+
+  if (lookup?.entry) {
+    return { parsed: lookup.entry.parsed, meta: cachedMeta(lookup, startedAt) };
+  }
+
+  // Use the provider-agnostic completion
+  const { data: parsed, metadata } = await jsonCompletionWithMetadata(
+    buildParserMessages(segment, companyContext, systemPrompt.content, examples, language, images),
+    { ...PARSER_OPTIONS, routes, validate: validateLobOutput }
+  );
+  await cacheParse(lookup, parsed, metadata);
+
+  return { parsed, meta: { ...metadata, cache: { hit: false, key: lookup?.key || null } } };
+}
+
+/**
+ * One meta for a lob parsed in several segments: the first call's
+ * provider and model, total latency, all fallbacks, summed usage
+ */
+function combineSegmentMeta(metas, startedAt) {
+  if (metas.length === 1) return metas[0];
+
+  const hits = metas.filter(meta => meta.cache.hit).length;
+  return {
+    ...metas[0],
+    latencyMs: Date.now() - startedAt,
+    fallbacks: metas.flatMap(meta => meta.fallbacks || []),
+    usage: metas.reduce((total, meta) => addUsage(total, meta.usage), null),
+    cache: { hit: hits === metas.length, key: null, hits },
+  };
+}
+
+/**
+ * Parse a raw input into discrete tasks using the AI pipeline
+ * Returns both tasks and extracted entities
+ *
+ * Output is validated against the parser schema; if the model gets it
+ * wrong, it is asked to repair once before a JsonValidationError is thrown.
+ * Deadlines and date entities are then normalized to real timestamps
+ * relative to `referenceDate` in the sender's timezone.
+ *
+ * Results are served from the parse cache when the same lob was parsed
+ * with the same prompt, routing and context (meta.cache.hit). The prompt
+ * version used (see prompt-registry.js) is reported as meta.prompt, and
+ * the workspace's learned corrections shown to the model as meta.examples.
+ *
+ * Output fields are written in `outputLanguage`; each task reports the
+ * language of its rawChunk, and meta.language summarizes them.
+ *
+ * Each task's urgency is then set from the tone of its rawChunk, with the
+ * score and the signals behind it (urgencyScore, tone - see tone-analyzer.js).
+ *
+ * Tasks and entities are grounded in the input: span is the [start, end)
+ * offsets of their chunk or mention, spanMatch says whether it was found
+ * exactly, fuzzily (paraphrased) or not at all ("ungrounded", span null) -
+ * see span-aligner.js.
+ *
+ * Lobs that are only noise (empty, "ok thanks", transcription artifacts -
+ * see noise-filter.js) return no tasks without calling the model, with
+ * meta.filtered = { rule, reason }.
+ *
+ * Lobs longer than PARSE_SEGMENT_CHARS (meeting transcripts, long memos)
+ * are split into overlapping segments, parsed one after another and
+ * merged, with duplicates from the overlap removed (see lob-segmenter.js).
+ * meta.segments is the number of segments, and meta.usage their total.
+ *
+ * Images sent with the lob are parsed with it (every segment sees them),
+ * and each task lists the ids of its images in task.images. Parses with
+ * images skip the noise filter and the parse cache. meta.images says
+ * whether the parser saw them or read captions of them (see lob-images.js).
+ *
+ * @param {string} input - The raw lob
+ * @param {object} options
+ * @param {object} options.companyContext - Company brain context for the prompt
+ * @param {object} options.routes - Workspace AI routing overrides (workspaces.ai_routes)
+ * @param {string} options.prompt - Override the system prompt (e.g. to evaluate a variant)
+ * @param {string} options.timezone - Sender's IANA timezone for deadline normalization
+ * @param {Date|string} options.referenceDate - When the lob was sent (default: now)
+ * @param {string} options.workspace - Workspace ID, for prompt selection and the parse cache
+ * @param {string} options.sender - Who sent the lob (spreads prompt experiments)
+ * @param {boolean} options.cache - Use the parse cache (default true)
+ * @param {string} options.outputLanguage - Language to write summaries in (recipient's or workspace's)
+ * @param {string} options.inputLanguage - Spoken language, if known (e.g. transcription language)
+ * @param {object} options.urgencyThresholds - Workspace urgency thresholds (workspaces.urgency_thresholds)
+ * @param {object} options.noiseFilter - Workspace noise rules (workspaces.noise_filter)
+ * @param {Array} options.images - Attached images (see readImageAttachments in lob-images.js)
+ */
+export async function parseLob(input, {
+  companyContext = null,
+  routes = null,
+  prompt,
+  timezone,
+  referenceDate = new Date(),
+  workspace = null,
+  sender = null,
+  cache = true,
+  outputLanguage = null,
+  inputLanguage = null,
+  urgencyThresholds = null,
+  noiseFilter = null,
+  images = [],
+} = {}) {
+  const startedAt = Date.now();
+  const dateOptions = { timezone, referenceDate };
+  const urgencyOptions = { referenceDate, thresholds: resolveUrgencyThresholds(urgencyThresholds) };
+  const language = parserLanguage({ outputLanguage, inputLanguage });
+
+  // A screenshot with "look at this" is never noise
+  const noise = images.length ? null : detectNoise(input, noiseFilter);
+  if (noise) {
+    return { tasks: [], entities: [], meta: filteredMeta(noise, startedAt, language) };
+  }
+
+  const systemPrompt = await resolveParserPrompt(input, { prompt, workspace, sender });
+  const examples = await selectExamples(workspace, input);
+  const promptMeta = { prompt: systemPrompt.info, examples: examples.map(example => example.id) };
+  const prepared = await prepareImages(images, { routes, workspace, sender });
+  const context = {
+    systemPrompt,
+    examples,
+    promptMeta,
+    companyContext,
+    routes,
+    // Cache keys don't cover images
+    cache: cache && !images.length,
+    language,
+    workspace,
+    images: prepared.images,
+  };
+
+  const segments = segmentLob(input);
+  const results = [];
+  for (const segment of segments) {
+    results.push(await parseSegment(segment, context, startedAt));
+  }
+
+  const parsed = segments.length === 1
+    ? results[0].parsed
+    : mergeSegmentResults(results.map(result => result.parsed), segments);
+  const finished = finishParse(parsed, input, dateOptions, urgencyOptions);
+  const tasks = images.length ? attributeImages(finished.tasks, images) : finished.tasks;
+
+  return {
+    tasks,
+    entities: finished.entities,
+    meta: {
+      ...combineSegmentMeta(results.map(result => result.meta), startedAt),
+      ...promptMeta,
+      language: describeLanguages(tasks, language),
+      segments: segments.length,
+      ...(prepared.meta && { images: prepared.meta }),
+    },
+  };
+}
+
+/**
+ * Streaming variant of parseLob
+ * Yields { type: 'task' | 'entity', value } as each object completes,
+ * then { type: 'done', value: { tasks, entities, validationErrors, meta } } with the full result.
+ * A cache hit replays the cached items; only results that validated cleanly are cached.
+ * Noise yields only the (empty) done event.
+ * A lob long enough to be segmented yields each segment's new items once
+ * that segment is parsed, and again any task already yielded that the
+ * segment's copy was merged into (same position - replace it); the done
+ * event has them all as merged.
+ * With images, streamed tasks only list the images the parser gave them;
+ * the done event also gives unclaimed images to a lone task.
+ */
+export async function* streamParseLob(input, {
+  companyContext = null,
+  routes = null,
+  prompt,
+  timezone,
+  referenceDate = new Date(),
+  workspace = null,
+  sender = null,
+  cache = true,
+  outputLanguage = null,
+  inputLanguage = null,
+  urgencyThresholds = null,
+  noiseFilter = null,
+  images = [],
+} = {}) {
+  const startedAt = Date.now();
+  const dateOptions = { timezone, referenceDate };
+  const urgencyOptions = { referenceDate, thresholds: resolveUrgencyThresholds(urgencyThresholds) };
+  const language = parserLanguage({ outputLanguage, inputLanguage });
+
+  const noise = images.length ? null : detectNoise(input, noiseFilter);
+  if (noise) {
+    yield {
+      type: 'done',
+      value: { tasks: [], entities: [], validationErrors: [], meta: filteredMeta(noise, startedAt, language) },
+    };
+    return;
+  }
+
+  const systemPrompt = await resolveParserPrompt(input, { prompt, workspace, sender });
+  const examples = await selectExamples(workspace, input);
+  const promptMeta = { prompt: systemPrompt.info, examples: examples.map(example => example.id) };
+  const prepared = await prepareImages(images, { routes, workspace, sender });
+  const imageMeta = prepared.meta && { images: prepared.meta };
+  const useCache = cache && !images.length;
+  const withImages = (tasks, options) => (images.length ? attributeImages(tasks, images, options) : tasks);
+
+  const segments = segmentLob(input);
+  if (segments.length > 1) {
+    const context = {
+      systemPrompt,
+      examples,
+      promptMeta,
+      companyContext,
+      routes,
+      cache: useCache,
+      language,
+      workspace,
+      images: prepared.images,
+    };
+    const results = [];
+    const metas = [];
+    let merged = { tasks: [], entities: [] };
+
+    for (const segment of segments) {
+      const { parsed, meta } = await parseSegment(segment, context, startedAt);
+      results.push(parsed);
+      metas.push(meta);
+
+      // New items are appended; a task merged with its copy from this
+      // segment keeps its position, and is sent again as merged
+      const previous = merged;
+      merged = finishParse(mergeSegmentResults(results, segments), input, dateOptions, urgencyOptions);
+      for (const entity of merged.entities.slice(previous.entities.length)) yield { type: 'entity', value: entity };
+      const changed = merged.tasks.filter((task, index) => index >= previous.tasks.length ||
+        JSON.stringify(task) !== JSON.stringify(previous.tasks[index]));
+      for (const task of withImages(changed, { assignUnclaimed: false })) {
+        yield { type: 'task', value: task };
+      }
+    }
+    merged = { ...merged, tasks: withImages(merged.tasks) };
+
+    yield {
+      type: 'done',
+      value: {
+        ...merged,
+        validationErrors: [],
+        meta: {
+          ...combineSegmentMeta(metas, startedAt),
+          ...promptMeta,
+          language: describeLanguages(merged.tasks, language),
+          segments: segments.length,
+          ...imageMeta,
+        },
+      },
+    };
+    return;
+  }
+
+  const lookup = useCache
+    ? await getCachedParse({
+      input,
+      prompt: systemPrompt.content,
+      taskType: PARSER_OPTIONS.taskType,
+      routes,
+      companyContext,
+      examples: promptMeta.examples,
+      language,
+      workspace,
+    })
+    : null;
+
+  if (lookup?.entry) {
+    const { tasks, entities } = finishParse(lookup.entry.parsed, input, dateOptions, urgencyOptions);
+    for (const entity of entities) yield { type: 'entity', value: entity };
+    for (const task of tasks) yield { type: 'task', value: task };
+    yield {
+      type: 'done',
+      value: {
+        tasks,
+        entities,
+        validationErrors: [],
+        meta: {
+          ...cachedMeta(lookup, startedAt),
+          ...promptMeta,
+          language: describeLanguages(tasks, language),
+          segments: 1,
+        },
+      },
+    };
+    return;
+  }
+
+  const parser = new IncrementalJsonParser();
+  const deltas = jsonCompletionStream(
+    buildParserMessages(input, companyContext, systemPrompt.content, examples, language, prepared.images),
+    { ...PARSER_OPTIONS, routes }
+  );
+  let taskIndex = 0;
+  let entityIndex = 0;
+  let spanFrom = 0;
+
+  // Iterate by hand so the generator's return value (provider metadata) isn't lost
+  let step;
+  while (!(step = await deltas.next()).done) {
+    for (const { key, value } of parser.push(step.value)) {
+      // An item that isn't an object is only reported in the done event's validationErrors
+      if (key === 'tasks') {
+        const task = normalizeTaskDeadline(validateTask(value, taskIndex++).value, dateOptions);
+        if (!task) continue;
+        const grounded = groundTask(scoreTaskUrgency(task, urgencyOptions), input, { from: spanFrom });
+        if (grounded.span) spanFrom = grounded.span[0];
+        yield { type: 'task', value: withImages([grounded], { assignUnclaimed: false })[0] };
+      } else if (key === 'entities') {
+        const entity = groundEntity(validateEntity(value, entityIndex++).value, input);
+        if (!entity) continue;
+        yield {
+          type: 'entity',
+          value: entity?.type === 'date'
+            ? { ...entity, normalized: normalizeDeadline(entity.mention, dateOptions) }
+            : entity,
+        };
+      }
+    }
+  }
+
+  // Items that aren't objects can't be used - they're only reported in validationErrors
+  const { value, errors } = validateLobOutput(parser.finish());
+  const usable = {
+    tasks: (value?.tasks || []).filter(Boolean),
+    entities: (value?.entities || []).filter(Boolean),
+  };
+  const finished = finishParse(usable, input, dateOptions, urgencyOptions);
+  const tasks = withImages(finished.tasks);
+  if (errors.length === 0) {
+    await cacheParse(lookup, value, step.value);
+  }
+
+  yield {
+    type: 'done',
+    value: {
+      tasks,
+      entities: finished.entities,
+      validationErrors: errors,
+      meta: {
+        ...step.value,
+        ...promptMeta,
+        language: describeLanguages(tasks, language),
+        cache: { hit: false, key: lookup?.key || null },
+        segments: 1,
+        ...imageMeta,
+      },
+    },
+  };
+}
+
+export default {
+  PARSER_OPTIONS,
+  buildParserMessages,
+  parseLob,
+  streamParseLob,
+};
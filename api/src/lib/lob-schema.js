@@ -0,0 +1,453 @@
+/**
+ * Lob Parser Output Schema
+ *
+ * Declares the shape LOB_PARSER_PROMPT asks the model to return and
+ * validates real model output against it. Near-miss values ("high" urgency,
+ * "self-service", a numeric string for confidence) are coerced to the
+ * allowed values; anything that can't be fixed is reported as an error so
+ * jsonCompletion can send it back to the model for repair.
+ */
+
+export const CLASSIFICATIONS = ['task', 'self_service', 'reminder', 'venting'];
+export const URGENCIES = ['normal', 'urgent', 'deadline'];
+export const ENTITY_TYPES = ['person', 'company', 'system', 'account', 'date'];
+
+/**
+ * Common model mistakes mapped to the allowed enum value
+ */
+const ENUM_ALIASES = {
+  classification: {
+    selfservice: 'self_service',
+    self: 'self_service',
+    diy: 'self_service',
+    request: 'task',
+    bug: 'task',
+    todo: 'task',
+    action: 'task',
+    action_item: 'task',
+    calendar: 'reminder',
+    event: 'reminder',
+    vent: 'venting',
+    rant: 'venting',
+    complaint: 'venting',
+  },
+  urgency: {
+    low: 'normal',
+    medium: 'normal',
+    none: 'normal',
+    routine: 'normal',
+    high: 'urgent',
+    critical: 'urgent',
+    asap: 'urgent',
+    immediate: 'urgent',
+    time_sensitive: 'urgent',
+    due: 'deadline',
+    due_date: 'deadline',
+    scheduled: 'deadline',
+  },
+  type: {
+    people: 'person',
+    user: 'person',
+    organization: 'company',
+    org: 'company',
+    vendor: 'company',
+    platform: 'system',
+    software: 'system',
+    tool: 'system',
+    website: 'system',
+    deadline: 'date',
+    time: 'date',
+  },
+};
+
+/**
+ * Field specs for each task and entity in the parser output
+ *
+ * type: expected JS type ('string' | 'number' | 'array' | 'object')
+ * enum: allowed values (coerced through ENUM_ALIASES)
+ * required: error if missing
+ * nullable: null is allowed
+ * default: used when missing
+ */
+export const LOB_PARSER_SCHEMA = {
+  tasks: {
+    position: { type: 'number', required: true },
+    rawChunk: { type: 'string', required: true },
+    summary: { type: 'string', required: true },
+    classification: { enum: CLASSIFICATIONS, required: true },
+    system: { type: 'string', nullable: true, default: null },
+    urgency: { enum: URGENCIES, default: 'normal' },
+    deadline: { type: 'string', nullable: true, default: null },
+    assignee: { type: 'string', nullable: true, default: null },
+    relatedEntities: { type: 'array', default: [] },
+    missingInfo: { type: 'array', default: [] },
+    selfServiceSteps: { type: 'array', nullable: true, default: null },
+    ventingResponse: { type: 'string', nullable: true, default: null },
+    language: { type: 'string', nullable: true, default: null },
+    original: { nullable: true, default: null }, // Output fields in the chunk's language, if translated
+    images: { type: 'array', default: [] }, // Ids of the lob's attached images about this task
+  },
+  entities: {
+    mention: { type: 'string', required: true },
+    type: { enum: ENTITY_TYPES, required: true },
+    role: { type: 'string', nullable: true, default: null },
+    confidence: { type: 'number', min: 0, max: 1, default: 1.0 },
+    contextClues: { type: 'array', default: [] },
+  },
+};
+
+/**
+ * Field specs for CLASSIFICATION_PROMPT output (reclassifying one task)
+ */
+export const CLASSIFICATION_SCHEMA = {
+  classification: { enum: CLASSIFICATIONS, required: true },
+  suggestedRoute: { type: 'string', nullable: true, default: null },
+  routingConfidence: { type: 'number', min: 0, max: 1, default: 0 },
+  routingReason: { type: 'string', nullable: true, default: null },
+};
+
+/**
+ * Field specs for RESEARCH_PROMPT output (Junior Researcher)
+ */
+export const RESEARCH_SCHEMA = {
+  understanding: { type: 'string', required: true },
+  searchQueries: { type: 'array', default: [] },
+  proposedPlan: { type: 'array', required: true },
+  relatedResolutions: { type: 'array', default: [] },
+  questionsForSender: { type: 'array', default: [] },
+};
+
+/**
+ * Field specs for VENTING_PROMPT output (acknowledgment and context)
+ */
+export const VENTING_SCHEMA = {
+  acknowledgment: { type: 'string', required: true },
+  context: { type: 'array', default: [] },
+  relatedTaskIds: { type: 'array', default: [] },
+  hiddenTask: { nullable: true, default: null }, // { summary, system } when there's a real task in it
+};
+
+/**
+ * Field specs for each update in FOLLOW_UP_PROMPT output
+ */
+export const FOLLOW_UP_SCHEMA = {
+  position: { type: 'number', required: true },
+  taskId: { type: 'string', required: true },
+  newInfo: { type: 'string', nullable: true, default: null },
+  deadline: { type: 'string', nullable: true, default: null },
+  answeredMissingInfo: { type: 'array', default: [] },
+};
+
+/**
+ * Field specs for IMAGE_CAPTION_PROMPT output (one image described)
+ */
+export const IMAGE_CAPTION_SCHEMA = {
+  description: { type: 'string', required: true },
+  text: { type: 'string', nullable: true, default: null },
+};
+
+/**
+ * Field specs for CONTEXT_SYNTHESIS_PROMPT output: each enriched task, and
+ * the records inside it (checked before their ids are grounded)
+ */
+export const SYNTHESIS_SCHEMA = {
+  enrichedTasks: {
+    position: { type: 'number', required: true },
+    resolvedEntities: { type: 'array', default: [] },
+    suggestedAssignee: { type: 'object', nullable: true, default: null },
+    relatedResolutions: { type: 'array', default: [] },
+    contextNotes: { type: 'string', default: '' },
+  },
+  resolvedEntities: {
+    mention: { type: 'string', nullable: true, default: null },
+    resolvedTo: { type: 'string', nullable: true, default: null },
+    resolvedName: { type: 'string', nullable: true, default: null },
+    confidence: { type: 'number', min: 0, max: 1, nullable: true, default: null },
+  },
+  suggestedAssignee: {
+    id: { type: 'string', nullable: true, default: null },
+    name: { type: 'string', nullable: true, default: null },
+    reason: { type: 'string', nullable: true, default: null },
+    confidence: { type: 'number', min: 0, max: 1, nullable: true, default: null },
+  },
+  relatedResolutions: {
+    id: { type: 'string', nullable: true, default: null },
+    problem: { type: 'string', nullable: true, default: null },
+    relevanceScore: { type: 'number', min: 0, max: 1, default: 0 },
+  },
+};
+
+/**
+ * Normalize an enum-ish string for comparison ("Self-Service" -> "self_service")
+ */
+function normalizeEnumValue(value) {
+  return String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Coerce a single field value against its spec
+ * Returns { value } on success or { error } when it can't be fixed.
+ */
+function coerceField(name, value, spec) {
+  if (value === undefined || value === '') {
+    if (spec.required) return { error: 'is required' };
+    return { value: spec.default };
+  }
+
+  if (value === null) {
+    if (spec.nullable) return { value: null };
+    if (spec.required) return { error: 'is required' };
+    return { value: spec.default };
+  }
+
+  if (spec.enum) {
+    const normalized = normalizeEnumValue(value);
+    const aliases = ENUM_ALIASES[name] || {};
+    const candidate = aliases[normalized] || normalized.replace(/s$/, '');
+
+    if (spec.enum.includes(normalized)) return { value: normalized };
+    if (spec.enum.includes(candidate)) return { value: candidate };
+    return { error: `"${value}" is not one of ${spec.enum.join(', ')}` };
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value === 'string') return { value };
+      if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value) };
+      return { error: 'must be a string' };
+
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      if (Number.isNaN(number)) return { error: `"${value}" is not a number` };
+      const min = spec.min ?? -Infinity;
+      const max = spec.max ?? Infinity;
+      return { value: Math.min(max, Math.max(min, number)) };
+    }
+
+    case 'array':
+      if (Array.isArray(value)) return { value };
+      if (typeof value === 'string') return { value: [value] };
+      return { error: 'must be an array' };
+
+    case 'object':
+      if (typeof value === 'object' && !Array.isArray(value)) return { value };
+      return { error: 'must be an object' };
+
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Validate and coerce one object against a field map
+ */
+function validateObject(item, fields, path) {
+  const errors = [];
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { value: null, errors: [`${path} must be an object`] };
+  }
+
+  const value = { ...item };
+  for (const [name, spec] of Object.entries(fields)) {
+    const result = coerceField(name, item[name], spec);
+    if (result.error) {
+      errors.push(`${path}.${name} ${result.error}`);
+    } else {
+      value[name] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Validate a single parsed task (used when streaming tasks one at a time)
+ * @param {object} task - Raw task object from the model
+ * @param {number} index - Index of the task in the tasks array
+ * @returns {{value: object, errors: string[]}}
+ */
+export function validateTask(task, index = 0) {
+  const withPosition = task && typeof task === 'object' && task.position == null
+    ? { ...task, position: index + 1 }
+    : task;
+  return validateObject(withPosition, LOB_PARSER_SCHEMA.tasks, `tasks[${index}]`);
+}
+
+/**
+ * Validate a single extracted entity
+ * @param {object} entity - Raw entity object from the model
+ * @param {number} index - Index of the entity in the entities array
+ * @returns {{value: object, errors: string[]}}
+ */
+export function validateEntity(entity, index = 0) {
+  return validateObject(entity, LOB_PARSER_SCHEMA.entities, `entities[${index}]`);
+}
+
+/**
+ * Validate the full LOB_PARSER_PROMPT output
+ * Pass as `validate` to jsonCompletion to get automatic repair.
+ *
+ * @param {object} parsed - Parsed JSON from the model
+ * @returns {{value: {tasks: Array, entities: Array}, errors: string[]}}
+ */
+export function validateLobOutput(parsed) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { value: null, errors: ['Response must be a JSON object with "tasks" and "entities"'] };
+  }
+
+  const errors = [];
+
+  for (const key of ['tasks', 'entities']) {
+    if (parsed[key] != null && !Array.isArray(parsed[key])) {
+      errors.push(`${key} must be an array`);
+    }
+  }
+  if (errors.length > 0) {
+    return { value: null, errors };
+  }
+
+  const tasks = (parsed.tasks || []).map((task, i) => {
+    const result = validateTask(task, i);
+    errors.push(...result.errors);
+    return result.value;
+  });
+
+  const entities = (parsed.entities || []).map((entity, i) => {
+    const result = validateEntity(entity, i);
+    errors.push(...result.errors);
+    return result.value;
+  });
+
+  return { value: { ...parsed, tasks, entities }, errors };
+}
+
+/**
+ * Validate CLASSIFICATION_PROMPT output
+ * @returns {{value: object, errors: string[]}}
+ */
+export function validateClassificationOutput(parsed) {
+  return validateObject(parsed, CLASSIFICATION_SCHEMA, 'response');
+}
+
+/**
+ * Validate RESEARCH_PROMPT output
+ * @returns {{value: object, errors: string[]}}
+ */
+export function validateResearchOutput(parsed) {
+  return validateObject(parsed, RESEARCH_SCHEMA, 'response');
+}
+
+/**
+ * Validate VENTING_PROMPT output
+ * @returns {{value: object, errors: string[]}}
+ */
+export function validateVentingOutput(parsed) {
+  return validateObject(parsed, VENTING_SCHEMA, 'response');
+}
+
+/**
+ * Validate FOLLOW_UP_PROMPT output
+ * @returns {{value: {updates: Array}, errors: string[]}}
+ */
+export function validateFollowUpOutput(parsed) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { value: null, errors: ['Response must be a JSON object with "updates"'] };
+  }
+  if (parsed.updates != null && !Array.isArray(parsed.updates)) {
+    return { value: null, errors: ['updates must be an array'] };
+  }
+
+  const errors = [];
+  const updates = (parsed.updates || []).map((update, i) => {
+    const result = validateObject(update, FOLLOW_UP_SCHEMA, `updates[${i}]`);
+    errors.push(...result.errors);
+    return result.value;
+  });
+
+  return { value: { updates }, errors };
+}
+
+/**
+ * Validate one enriched task from CONTEXT_SYNTHESIS_PROMPT, with the
+ * resolved entities, assignee and resolutions in it
+ */
+function validateEnrichedTask(task, index) {
+  const path = `enrichedTasks[${index}]`;
+  const { value, errors } = validateObject(task, SYNTHESIS_SCHEMA.enrichedTasks, path);
+  if (!value) return { value, errors };
+
+  for (const key of ['resolvedEntities', 'relatedResolutions']) {
+    if (!Array.isArray(value[key])) continue;
+    value[key] = value[key].map((item, i) => {
+      const result = validateObject(item, SYNTHESIS_SCHEMA[key], `${path}.${key}[${i}]`);
+      errors.push(...result.errors);
+      return result.value;
+    });
+  }
+  if (value.suggestedAssignee && typeof value.suggestedAssignee === 'object') {
+    const result = validateObject(value.suggestedAssignee, SYNTHESIS_SCHEMA.suggestedAssignee, `${path}.suggestedAssignee`);
+    errors.push(...result.errors);
+    value.suggestedAssignee = result.value;
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Validate CONTEXT_SYNTHESIS_PROMPT output
+ * @returns {{value: {enrichedTasks: Array, ambiguities: Array}, errors: string[]}}
+ */
+export function validateSynthesisOutput(parsed) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { value: null, errors: ['Response must be a JSON object with "enrichedTasks"'] };
+  }
+  if (!Array.isArray(parsed.enrichedTasks)) {
+    return { value: null, errors: ['enrichedTasks must be an array'] };
+  }
+
+  const errors = [];
+  const enrichedTasks = parsed.enrichedTasks.map((task, i) => {
+    const result = validateEnrichedTask(task, i);
+    errors.push(...result.errors);
+    return result.value;
+  });
+
+  return {
+    value: {
+      enrichedTasks,
+      ambiguities: Array.isArray(parsed.ambiguities) ? parsed.ambiguities : [],
+    },
+    errors,
+  };
+}
+
+/**
+ * Validate IMAGE_CAPTION_PROMPT output
+ * @returns {{value: object, errors: string[]}}
+ */
+export function validateImageCaptionOutput(parsed) {
+  return validateObject(parsed, IMAGE_CAPTION_SCHEMA, 'response');
+}
+
+export default {
+  CLASSIFICATIONS,
+  URGENCIES,
+  ENTITY_TYPES,
+  LOB_PARSER_SCHEMA,
+  CLASSIFICATION_SCHEMA,
+  RESEARCH_SCHEMA,
+  VENTING_SCHEMA,
+  FOLLOW_UP_SCHEMA,
+  IMAGE_CAPTION_SCHEMA,
+  SYNTHESIS_SCHEMA,
+  validateTask,
+  validateEntity,
+  validateLobOutput,
+  validateClassificationOutput,
+  validateResearchOutput,
+  validateVentingOutput,
+  validateFollowUpOutput,
+  validateSynthesisOutput,
+  validateImageCaptionOutput,
+};
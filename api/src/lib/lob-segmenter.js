@@ -0,0 +1,252 @@
+/**
+ * Lob Segmenter
+ *
+ * A 20-minute voice memo or a pasted email thread is too long to parse in
+ * one request - the JSON gets cut off at the parser's maxTokens. Long lobs
+ * are split into segments, parsed one by one, and merged back:
+ *
+ * - Segments end at sentence boundaries, preferably where a new topic
+ *   starts (a new paragraph, a list item, "also", "next", "another thing")
+ * - Each segment repeats the last sentences of the one before, so a task
+ *   spanning the cut is seen whole at least once
+ * - Merging drops the tasks and entities the overlap produced twice and
+ *   renumbers positions. Only a task read in the overlap is compared, and
+ *   only with the previous segment's tasks there - two similar tasks in
+ *   the same stretch of text ("call Bob", "call Bob about invoices") are
+ *   both kept
+ *
+ * Configure via environment:
+ * - PARSE_SEGMENT_CHARS: longest input parsed in one request (default 6000)
+ * - PARSE_SEGMENT_OVERLAP: characters repeated between segments (default 500)
+ */
+
+import { similarity } from './text-similarity.js';
+import { alignSpan } from './span-aligner.js';
+
+// Sentences that usually start a new topic
+const TOPIC_START = /^(\d+[.)]|[-*•]|(also|next|another thing|secondly|second|thirdly|third|finally|moving on|oh and|lastly)\b)/i;
+
+// Tasks this similar (summary or raw chunk) are the same task seen twice
+const DUPLICATE_SIMILARITY = 0.6;
+
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Split text into sentence units, noting which ones start a topic
+ * A sentence longer than maxChars is cut at word boundaries.
+ */
+function splitUnits(text, maxChars) {
+  const units = [];
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const sentences = paragraph.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+
+    sentences.forEach((sentence, index) => {
+      const paragraphStart = index === 0;
+      let rest = sentence;
+      while (rest.length > maxChars) {
+        const cut = rest.lastIndexOf(' ', maxChars);
+        const at = cut > 0 ? cut : maxChars;
+        units.push({ text: rest.slice(0, at), paragraphStart: paragraphStart && rest === sentence, topicStart: false });
+        rest = rest.slice(at).trim();
+      }
+      units.push({
+        text: rest,
+        paragraphStart: paragraphStart && rest === sentence,
+        topicStart: (paragraphStart && rest === sentence) || TOPIC_START.test(rest),
+      });
+    });
+  }
+
+  return units;
+}
+
+function unitsLength(units) {
+  return units.reduce((total, unit) => total + unit.text.length + 1, 0);
+}
+
+function joinUnits(units) {
+  return units.map((unit, index) => (index === 0 ? '' : unit.paragraphStart ? '\n\n' : ' ') + unit.text).join('');
+}
+
+/**
+ * Split a lob into segments small enough to parse in one request
+ *
+ * @param {string} input - The raw lob
+ * @param {object} options
+ * @param {number} options.maxChars - Longest segment (default PARSE_SEGMENT_CHARS)
+ * @param {number} options.overlapChars - Text repeated from the previous segment (default PARSE_SEGMENT_OVERLAP)
+ * @returns {string[]} The input itself when it fits in one segment
+ */
+export function segmentLob(input, {
+  maxChars = envNumber('PARSE_SEGMENT_CHARS', 6000),
+  overlapChars = envNumber('PARSE_SEGMENT_OVERLAP', 500),
+} = {}) {
+  if (input.length <= maxChars) return [input];
+
+  // Overlap has to leave room for new text in every segment
+  const overlapLimit = Math.min(overlapChars, Math.floor(maxChars / 4));
+  const segments = [];
+  let current = [];
+
+  for (const unit of splitUnits(input, maxChars)) {
+    if (current.length && unitsLength(current) + unit.text.length > maxChars) {
+      // Cut at the last topic start in the back half, else after the last sentence
+      let cut = current.length;
+      for (let index = current.length - 1; index > 0; index--) {
+        if (unitsLength(current.slice(0, index)) < maxChars / 2) break;
+        if (current[index].topicStart) {
+          cut = index;
+          break;
+        }
+      }
+
+      const done = current.slice(0, cut);
+      segments.push(joinUnits(done));
+
+      const overlap = [];
+      for (let index = done.length - 1; index >= 0; index--) {
+        if (unitsLength([done[index], ...overlap]) > overlapLimit) break;
+        overlap.unshift({ ...done[index], paragraphStart: false });
+      }
+      current = [...overlap, ...current.slice(cut)];
+    }
+    current.push(unit);
+  }
+
+  if (current.length) segments.push(joinUnits(current));
+  return segments;
+}
+
+/**
+ * Words with their offsets in the text
+ */
+function wordOffsets(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * The text two consecutive segments share: the words ending `previous`
+ * that `next` starts with
+ * @returns {{tail: number, head: number}} tail: offset in previous where the
+ *   shared text starts; head: offset in next where it ends (0 when nothing is shared)
+ */
+function sharedText(previous, next) {
+  const before = wordOffsets(previous);
+  const after = wordOffsets(next);
+
+  for (let count = Math.min(before.length, after.length); count > 0; count--) {
+    const start = before.length - count;
+    let index = 0;
+    while (index < count && before[start + index].word === after[index].word) index++;
+    if (index === count) return { tail: before[start].start, head: after[count - 1].end };
+  }
+
+  return { tail: previous.length, head: 0 };
+}
+
+/**
+ * Whether a task's chunk was read within [from, to) of its segment
+ */
+function readBetween(task, segment, from, to) {
+  const { span } = alignSpan(task.rawChunk || task.summary, segment);
+  return !!span && span[0] < to && span[1] > from;
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether two parsed tasks are the same task, seen in overlapping segments
+ */
+function sameTask(a, b) {
+  const rawA = normalizeText(a.rawChunk);
+  const rawB = normalizeText(b.rawChunk);
+  if (rawA && rawB && (rawA.includes(rawB) || rawB.includes(rawA))) return true;
+
+  return similarity(a.summary, b.summary) >= DUPLICATE_SIMILARITY ||
+    similarity(a.rawChunk, b.rawChunk) >= DUPLICATE_SIMILARITY;
+}
+
+function union(a, b) {
+  return [...new Set([...(a || []), ...(b || [])])];
+}
+
+/**
+ * Merge a task seen twice: keep the fuller chunk (the other was likely cut
+ * at a segment edge) and every question and image either copy had
+ */
+function mergeTask(kept, duplicate) {
+  const fuller = (duplicate.rawChunk || '').length > (kept.rawChunk || '').length ? duplicate : kept;
+  return {
+    ...fuller,
+    missingInfo: union(kept.missingInfo, duplicate.missingInfo),
+    relatedEntities: union(kept.relatedEntities, duplicate.relatedEntities),
+    images: union(kept.images, duplicate.images),
+  };
+}
+
+/**
+ * Merge the parser output of each segment into one result
+ *
+ * A task read in the text a segment shares with the previous one is
+ * merged into the same task from the previous segment, if it was read
+ * there too; everything else is kept. Tasks are renumbered in order;
+ * entities are deduplicated by type and mention.
+ *
+ * @param {Array<{tasks: Array, entities: Array}>} results - Parser output per segment, in order
+ * @param {string[]} segments - The segments' text (from segmentLob); without it nothing is
+ *   known to overlap and no task is merged
+ * @returns {{tasks: Array, entities: Array}}
+ */
+export function mergeSegmentResults(results, segments = []) {
+  // { task, segment } - segment is the last one the task was read in
+  const tasks = [];
+  const entities = [];
+  const entityKeys = new Set();
+
+  for (const [segment, result] of results.entries()) {
+    const text = segments[segment];
+    const previousText = segments[segment - 1];
+    const shared = text != null && previousText != null ? sharedText(previousText, text) : null;
+
+    for (const task of result?.tasks || []) {
+      const index = shared && shared.head > 0 && readBetween(task, text, 0, shared.head)
+        ? tasks.findIndex(existing => existing.segment === segment - 1 &&
+          readBetween(existing.task, previousText, shared.tail, Infinity) &&
+          sameTask(existing.task, task))
+        : -1;
+
+      if (index === -1) {
+        tasks.push({ task, segment });
+      } else {
+        tasks[index] = { task: mergeTask(tasks[index].task, task), segment };
+      }
+    }
+
+    for (const entity of result?.entities || []) {
+      const key = `${entity.type}:${normalizeText(entity.mention)}`;
+      if (entityKeys.has(key)) continue;
+      entityKeys.add(key);
+      entities.push(entity);
+    }
+  }
+
+  return {
+    tasks: tasks.map(({ task }, index) => ({ ...task, position: index + 1 })),
+    entities,
+  };
+}
+
+export default {
+  segmentLob,
+  mergeSegmentResults,
+};
@@ -84,7 +84,7 @@ export class MemoryService {
   /**
    * Store a lob for future reference
    * Used by vector implementations to build semantic search index.
-   * @param {object} lob - The lob to store
+   * @param {object} lob - The lob to store ({ lobId, rawInput, sender, parsed, prompt })
    * @returns {Promise<{id}>}
    */
   async storeLob(lob) {
@@ -349,9 +349,12 @@ export class PocketBaseMemoryService extends MemoryService {
 
     const record = await lobSessions.create({
       workspace: this.workspaceId,
+      lob_id: lob.lobId || '',
       raw_input: lob.rawInput,
       sender: lob.sender || null,
-      parsed_data: JSON.stringify(lob.parsed || {}),
+      parsed_data: lob.parsed || {},
+      prompt_version: lob.prompt?.version || '',
+      prompt_experiment: lob.prompt?.experiment?.name || '',
     });
 
     return { id: record.id };
@@ -0,0 +1,142 @@
+/**
+ * Noise Filter
+ *
+ * A cheap local check in front of the parser. Some lobs have nothing in
+ * them to parse - "ok cool thanks", "hi!", an empty transcript, or the
+ * phrases Whisper makes up on silence ("Thank you for watching"). Those
+ * get a zero-task result with the reason, without calling the model.
+ *
+ * A rule matches when the whole lob is made of its phrases (or matches
+ * its pattern), after lowercasing and dropping punctuation and emoji - so
+ * "Ok, cool. Thanks!!" is noise but "ok, can you fix the form" is not.
+ *
+ * Workspaces can add rules and turn built-in ones off
+ * (workspaces.noise_filter):
+ * {
+ *   "rules": [{ "id": "on_my_way", "reason": "Status update", "phrases": ["omw", "on my way"] },
+ *             { "id": "laughing", "reason": "Reaction", "pattern": "^(ha)+$" }],
+ *   "disabled": ["greeting"]
+ * }
+ * Patterns are tested against the normalized text.
+ *
+ * Configure via environment:
+ * - NOISE_FILTER: "off" sends everything to the model (default on)
+ */
+
+export const BUILTIN_RULES = [
+  {
+    id: 'acknowledgment',
+    reason: 'Just an acknowledgment - nothing to do',
+    phrases: [
+      'ok', 'okay', 'k', 'kk', 'cool', 'thanks', 'thank you', 'thx', 'ty', 'got it', 'sounds good',
+      'great', 'perfect', 'awesome', 'nice', 'sure', 'yes', 'yep', 'yeah', 'no problem', 'np',
+      'noted', 'will do', 'all good', 'good', 'alright', 'right', 'lol', 'haha',
+      'gracias', 'vale', 'merci', 'danke',
+    ],
+  },
+  {
+    id: 'greeting',
+    reason: 'Just a greeting - nothing to do',
+    phrases: [
+      'hi', 'hello', 'hey', 'hey there', 'yo', 'morning', 'good morning', 'good afternoon',
+      'good evening', 'hola', 'bonjour', 'hallo',
+    ],
+  },
+  {
+    id: 'transcription_artifact',
+    reason: 'Transcription artifact - speech-to-text makes this up on silence',
+    phrases: [
+      'thank you for watching', 'thanks for watching', 'thank you so much for watching',
+      'please subscribe', 'like and subscribe', 'subtitles by the amara org community',
+      'music', 'blank audio', 'silence', 'applause', 'you', 'bye',
+      'gracias por ver', 'gracias por ver el video', 'merci d\'avoir regardé',
+      'sous titres réalisés par la communauté d\'amara org', 'untertitel der amara org community',
+    ],
+  },
+];
+
+/**
+ * Lowercase, drop punctuation and emoji, collapse whitespace
+ */
+export function normalizeNoiseText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a rule to a regex over normalized text
+ * Phrases match when the text is nothing but those phrases, repeated.
+ * Returns null for a rule that can't be used (logged).
+ */
+function compileRule(rule) {
+  try {
+    if (rule.pattern) return new RegExp(rule.pattern, 'iu');
+
+    const phrases = (rule.phrases || [])
+      .map(normalizeNoiseText)
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex);
+    if (phrases.length === 0) return null;
+
+    return new RegExp(`^(?:(?:${phrases.join('|')})(?: |$))+$`, 'u');
+  } catch (error) {
+    console.error(`Noise filter: skipping rule "${rule.id}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * The rules for a workspace: built-ins (minus disabled ones), then its own
+ * @param {object} config - workspaces.noise_filter
+ */
+export function resolveNoiseRules(config = null) {
+  const disabled = new Set(config?.disabled || []);
+  const custom = Array.isArray(config?.rules) ? config.rules : [];
+
+  return [...BUILTIN_RULES, ...custom]
+    .filter(rule => rule?.id && !disabled.has(rule.id))
+    .map(rule => ({
+      id: rule.id,
+      reason: rule.reason || `Matched noise rule "${rule.id}"`,
+      regex: compileRule(rule),
+    }))
+    .filter(rule => rule.regex);
+}
+
+/**
+ * Check whether a lob is noise
+ *
+ * @param {string} input - The raw lob
+ * @param {object} config - workspaces.noise_filter
+ * @returns {{rule: string, reason: string}|null} null when the lob should be parsed
+ */
+export function detectNoise(input, config = null) {
+  if (process.env.NOISE_FILTER === 'off') return null;
+
+  if (!String(input || '').trim()) {
+    return { rule: 'empty', reason: 'Empty input - nothing to parse' };
+  }
+
+  const text = normalizeNoiseText(input);
+  if (!text) {
+    return { rule: 'no_words', reason: 'Only emoji or punctuation - nothing to parse' };
+  }
+
+  const match = resolveNoiseRules(config).find(rule => rule.regex.test(text));
+  return match ? { rule: match.id, reason: match.reason } : null;
+}
+
+export default {
+  BUILTIN_RULES,
+  normalizeNoiseText,
+  resolveNoiseRules,
+  detectNoise,
+};
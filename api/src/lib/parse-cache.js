@@ -0,0 +1,234 @@
+/**
+ * Parse Cache
+ *
+ * Re-submitting the same lob (app retries, /api/lob/test, eval runs) would
+ * otherwise pay for a full LLM call every time. Parse results are cached
+ * under a hash of everything that shapes the model's answer:
+ * - the input, normalized (Unicode NFC, whitespace collapsed)
+ * - the prompt version (hash of the system prompt)
+ * - the provider chain and models the parse would be routed to
+ * - the company context sent with the request
+ * - the learned examples shown to the model (see parse-examples.js)
+ * - the workspace's brain version (count + last change of the memory types
+ *   that can reach the prompt), so editing the brain invalidates its entries.
+ *   Lobs without a workspace have no brain version; when PocketBase can't be
+ *   reached, the workspace's last known version is used.
+ *
+ * What's cached is the raw parser output, before deadline normalization -
+ * "tomorrow" is resolved against the time of each request, not the first one.
+ *
+ * Configure via environment:
+ * - PARSE_CACHE: 'on' (default) or 'off'
+ * - PARSE_CACHE_STORE: 'pocketbase' (default; memory in front of the
+ *   parse_cache collection) or 'memory' (this process only)
+ * - PARSE_CACHE_TTL_SECONDS: entry lifetime (default 86400)
+ * - PARSE_CACHE_MAX_ENTRIES: in-memory entries kept (default 500)
+ */
+
+import { createHash } from 'node:crypto';
+import { describeRoute } from './ai-provider.js';
+import { companyBrain, parseCache } from './pocketbase.js';
+
+/**
+ * Brain memory types that can end up in the parser prompt
+ */
+export const PROMPT_MEMORY_TYPES = ['vocabulary', 'system', 'person', 'company', 'product'];
+
+// Map keeps insertion order, so the first key is the least recently used
+const memoryStore = new Map();
+
+// Last brain version seen per workspace
+const brainVersions = new Map();
+
+/**
+ * Current parse cache settings
+ */
+export function getParseCacheSettings() {
+  return {
+    enabled: (process.env.PARSE_CACHE || 'on').toLowerCase() !== 'off',
+    store: (process.env.PARSE_CACHE_STORE || 'pocketbase').toLowerCase(),
+    ttlSeconds: parseInt(process.env.PARSE_CACHE_TTL_SECONDS) || 86400,
+    maxEntries: parseInt(process.env.PARSE_CACHE_MAX_ENTRIES) || 500,
+  };
+}
+
+function hash(value) {
+  return createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+}
+
+/**
+ * Normalize a lob so trivially different re-submissions share an entry
+ */
+export function normalizeInput(input) {
+  return input.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Short, stable version id for a system prompt
+ */
+export function promptVersion(prompt) {
+  return hash(prompt).slice(0, 12);
+}
+
+async function brainVersion(workspaceId) {
+  if (!workspaceId) return '';
+
+  try {
+    const { count, updated } = await companyBrain.latestChange(workspaceId, PROMPT_MEMORY_TYPES);
+    brainVersions.set(workspaceId, `${count}:${updated || ''}`);
+  } catch (error) {
+    if (!brainVersions.has(workspaceId)) throw error;
+    console.warn(`Brain version unavailable for ${workspaceId}, using last known: ${error.message}`);
+  }
+  return brainVersions.get(workspaceId);
+}
+
+function remember(key, entry, maxEntries) {
+  memoryStore.delete(key);
+  memoryStore.set(key, entry);
+
+  while (memoryStore.size > maxEntries) {
+    memoryStore.delete(memoryStore.keys().next().value);
+  }
+}
+
+async function readEntry(key, settings) {
+  const cached = memoryStore.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    remember(key, cached, settings.maxEntries);
+    return cached;
+  }
+  memoryStore.delete(key);
+
+  if (settings.store !== 'pocketbase') return null;
+
+  const record = await parseCache.find(key);
+  if (!record) return null;
+
+  const expiresAt = Date.parse(record.expires.replace(' ', 'T'));
+  if (!(expiresAt > Date.now())) {
+    parseCache.delete(record.id).catch(() => {});
+    return null;
+  }
+
+  const entry = {
+    parsed: record.result,
+    meta: record.meta,
+    cachedAt: record.created.replace(' ', 'T'),
+    expiresAt,
+  };
+  remember(key, entry, settings.maxEntries);
+  return entry;
+}
+
+/**
+ * Look a parse up in the cache
+ *
+ * @param {object} request
+ * @param {string} request.input - The raw lob
+ * @param {string} request.prompt - System prompt that will be used
+ * @param {string} request.taskType - Task type the parse is routed as
+ * @param {object} request.routes - Workspace AI routing overrides
+ * @param {object} request.companyContext - Company context sent with the lob
+ * @param {string[]} request.examples - IDs of the learned examples in the prompt
+ * @param {object} request.language - Output and detected input language ({ output, input })
+ * @param {string} request.workspace - Workspace ID (brain version + scoping)
+ * @returns {Promise<object|null>} Lookup to pass to cacheParse(), with
+ *   `entry` ({ parsed, meta, cachedAt }) on a hit; null when caching is off
+ */
+export async function getCachedParse({
+  input,
+  prompt,
+  taskType,
+  routes,
+  companyContext,
+  examples = [],
+  language = null,
+  workspace,
+}) {
+  const settings = getParseCacheSettings();
+  if (!settings.enabled) return null;
+
+  try {
+    const route = describeRoute(taskType, routes);
+    const lookup = {
+      workspace: workspace && workspace !== 'default' ? workspace : '',
+      promptVersion: promptVersion(prompt),
+      provider: route.provider,
+      model: route.model,
+    };
+    lookup.key = hash({
+      input: normalizeInput(input),
+      prompt: lookup.promptVersion,
+      chain: route.chain,
+      companyContext,
+      examples,
+      language,
+      workspace: lookup.workspace,
+      brain: await brainVersion(workspace),
+    });
+    lookup.entry = await readEntry(lookup.key, settings);
+    return lookup;
+  } catch (error) {
+    // A cache that can't be read is just a miss
+    console.error('Parse cache lookup failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a parse result under a lookup from getCachedParse()
+ * Errors are logged, never thrown - a failed write only costs a future miss.
+ *
+ * @param {object} lookup - From getCachedParse()
+ * @param {object} parsed - Validated parser output ({ tasks, entities }), before date normalization
+ * @param {object} meta - Completion metadata of the call that produced it
+ */
+export async function cacheParse(lookup, parsed, meta) {
+  if (!lookup) return;
+
+  const settings = getParseCacheSettings();
+  const expiresAt = Date.now() + settings.ttlSeconds * 1000;
+  remember(lookup.key, { parsed, meta, cachedAt: new Date().toISOString(), expiresAt }, settings.maxEntries);
+
+  if (settings.store !== 'pocketbase') return;
+
+  try {
+    await parseCache.create({
+      key: lookup.key,
+      workspace: lookup.workspace,
+      prompt_version: lookup.promptVersion,
+      provider: meta?.provider || lookup.provider,
+      model: meta?.model || lookup.model,
+      result: parsed,
+      meta,
+      expires: new Date(expiresAt).toISOString().replace('T', ' '),
+    });
+  } catch (error) {
+    console.error('Failed to store parse cache entry:', error);
+  }
+}
+
+/**
+ * Metadata for a parse served from the cache
+ * The original call's provider/model are kept; nothing was spent this time.
+ */
+export function cachedMeta(lookup, startedAt) {
+  return {
+    ...lookup.entry.meta,
+    latencyMs: Date.now() - startedAt,
+    fallbacks: [],
+    usage: null,
+    cache: { hit: true, key: lookup.key, cachedAt: lookup.entry.cachedAt },
+  };
+}
+
+export default {
+  PROMPT_MEMORY_TYPES,
+  getParseCacheSettings,
+  normalizeInput,
+  promptVersion,
+  getCachedParse,
+  cacheParse,
+  cachedMeta,
+};
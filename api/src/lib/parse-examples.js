@@ -0,0 +1,158 @@
+/**
+ * Learned Parse Examples
+ *
+ * When someone fixes a parsed lob before creating tasks from it - merging
+ * two tasks, reclassifying venting as a task, renaming the system - the
+ * before/after pair is kept for the workspace and the most relevant few
+ * are shown to the parser as examples on later lobs.
+ *
+ * Relevance is word overlap between the new lob and the corrected one;
+ * pinned examples always go first.
+ *
+ * Configure via environment:
+ * - PARSE_EXAMPLES: how many examples to inject (default 3, 0 = off)
+ */
+
+import { parseExamples } from './pocketbase.js';
+import { similarity } from './text-similarity.js';
+
+// What the examples compare - the parts of a task users actually correct
+const EXAMPLE_FIELDS = ['summary', 'classification', 'system', 'urgency', 'assignee'];
+
+// Long lobs are cut so a few examples can't crowd out the real input
+const MAX_EXAMPLE_INPUT = 600;
+
+function exampleLimit() {
+  const limit = parseInt(process.env.PARSE_EXAMPLES);
+  return Number.isNaN(limit) ? 3 : limit;
+}
+
+/**
+ * Reduce a parsed task to the fields that examples compare
+ */
+function exampleTask(task) {
+  const picked = {};
+  for (const field of EXAMPLE_FIELDS) {
+    if (task[field] != null && task[field] !== '') picked[field] = task[field];
+  }
+  return picked;
+}
+
+/**
+ * Describe how the corrected tasks differ from the parser's
+ * @returns {string[]} e.g. ["merged 2 tasks into 1", "task 1: classification venting → task"]
+ */
+export function describeCorrections(before, after) {
+  const changes = [];
+
+  if (after.length < before.length) {
+    changes.push(`merged ${before.length} tasks into ${after.length}`);
+  } else if (after.length > before.length) {
+    changes.push(`split ${before.length} tasks into ${after.length}`);
+  }
+
+  // Field changes only line up when no tasks were merged or split
+  if (after.length === before.length) {
+    after.forEach((task, i) => {
+      const original = exampleTask(before[i]);
+      for (const [field, value] of Object.entries(exampleTask(task))) {
+        if (original[field] !== value) {
+          changes.push(`task ${i + 1}: ${field} ${original[field] ?? '(none)'} → ${value}`);
+        }
+      }
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Store a correction if the user changed the parse
+ *
+ * @param {object} correction
+ * @param {string} correction.workspace - Workspace ID
+ * @param {string} correction.lobSession - Lob session the tasks were created under
+ * @param {string} correction.rawInput - The original lob
+ * @param {Array} correction.originalTasks - Tasks as the parser returned them
+ * @param {Array} correction.parsedTasks - Tasks as the user submitted them
+ * @returns {Promise<object|null>} The stored example, or null if nothing changed
+ */
+export async function captureCorrection({ workspace, lobSession, rawInput, originalTasks, parsedTasks }) {
+  if (!Array.isArray(originalTasks) || !Array.isArray(parsedTasks)) return null;
+
+  const before = originalTasks.map(exampleTask);
+  const after = parsedTasks.map(exampleTask);
+  const changes = describeCorrections(before, after);
+  if (changes.length === 0) return null;
+
+  return parseExamples.create({
+    workspace,
+    lob_session: lobSession || '',
+    input: rawInput,
+    before,
+    after,
+    changes,
+  });
+}
+
+/**
+ * Pick the examples to show the parser for a lob
+ * Pinned examples first, then the most similar corrections.
+ *
+ * @param {string} workspaceId - Workspace ID (none for the default workspace)
+ * @param {string} input - The lob being parsed
+ * @returns {Promise<Array>} parse_examples records
+ */
+export async function selectExamples(workspaceId, input) {
+  const limit = exampleLimit();
+  if (!workspaceId || workspaceId === 'default' || limit <= 0) return [];
+
+  try {
+    const { items } = await parseExamples.list(workspaceId);
+    const pinned = items.filter(example => example.pinned);
+    const ranked = items
+      .filter(example => !example.pinned)
+      .map(example => ({ example, score: similarity(input, example.input) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(({ example }) => example);
+
+    return [...pinned, ...ranked].slice(0, limit);
+  } catch (error) {
+    // Parsing works without examples - don't fail the lob over them
+    console.error('Failed to load parse examples:', error);
+    return [];
+  }
+}
+
+/**
+ * Render examples as a system prompt section
+ */
+export function formatExamples(examples) {
+  if (!examples.length) return '';
+
+  const rendered = examples.map((example, i) => {
+    const input = example.input.length > MAX_EXAMPLE_INPUT
+      ? `${example.input.slice(0, MAX_EXAMPLE_INPUT)}...`
+      : example.input;
+
+    return [
+      `### Example ${i + 1}`,
+      `Lob: ${JSON.stringify(input)}`,
+      `Parsed as: ${JSON.stringify(example.before)}`,
+      `Corrected to: ${JSON.stringify(example.after)}`,
+      `What changed: ${(example.changes || []).join('; ')}`,
+    ].join('\n');
+  });
+
+  return '\n\n## Corrections From This Workspace\n' +
+    'People here corrected these earlier parses. Parse similar lobs the way they corrected them.\n\n' +
+    rendered.join('\n\n');
+}
+
+export default {
+  describeCorrections,
+  captureCorrection,
+  selectExamples,
+  formatExamples,
+};
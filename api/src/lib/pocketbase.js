@@ -8,6 +8,7 @@ const POCKETBASE_URL = process.env.POCKETBASE_URL || 'http://127.0.0.1:8090';
 
 /**
  * Make a request to PocketBase API
+ * FormData bodies (file uploads) set their own multipart Content-Type.
  */
 async function pbRequest(path, options = {}) {
   const url = `${POCKETBASE_URL}/api${path}`;
@@ -15,7 +16,7 @@ async function pbRequest(path, options = {}) {
   const response = await fetch(url, {
     ...options,
     headers: {
-      'Content-Type': 'application/json',
+      ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
       ...options.headers,
     },
   });
@@ -46,6 +47,22 @@ export const collections = {
     return pbRequest(`/collections/${collection}/records?${params}`);
   },
 
+  /**
+   * List every record matching a filter, walking all pages
+   * For reports and small config collections that need the full set.
+   */
+  async listAll(collection, { filter = '', sort = '' } = {}) {
+    const items = [];
+
+    for (let page = 1; ; page++) {
+      const result = await collections.list(collection, { filter, sort, page, perPage: 500 });
+      items.push(...result.items);
+      if (page >= result.totalPages) break;
+    }
+
+    return items;
+  },
+
   /**
    * Get a single record
    */
@@ -65,11 +82,12 @@ export const collections = {
 
   /**
    * Update a record
+   * Pass FormData to upload files.
    */
   async update(collection, id, data) {
     return pbRequest(`/collections/${collection}/records/${id}`, {
       method: 'PATCH',
-      body: JSON.stringify(data),
+      body: data instanceof FormData ? data : JSON.stringify(data),
     });
   },
 
@@ -83,6 +101,36 @@ export const collections = {
   },
 };
 
+/**
+ * Workspace operations
+ */
+export const workspaces = {
+  async get(id) {
+    return collections.get('workspaces', id);
+  },
+
+  async update(id, data) {
+    return collections.update('workspaces', id, data);
+  },
+
+  /**
+   * Get a workspace's settings record
+   * Returns null for the MVP "default" workspace or a missing record,
+   * so callers can fall back to environment defaults.
+   */
+  async find(id) {
+    if (!id || id === 'default') {
+      return null;
+    }
+
+    try {
+      return await collections.get('workspaces', id);
+    } catch (error) {
+      return null;
+    }
+  },
+};
+
 /**
  * Task-specific operations
  */
@@ -107,17 +155,36 @@ export const tasks = {
     return collections.update('tasks', id, data);
   },
 
+  /**
+   * Add files (e.g. a lob's screenshots) to a task's attachments
+   * @param {Array<File>} files
+   */
+  async addAttachments(id, files) {
+    const form = new FormData();
+    // "+" appends instead of replacing the task's existing files
+    for (const file of files) form.append('attachments+', file);
+    return collections.update('tasks', id, form);
+  },
+
+  /**
+   * All tasks matching a filter (every page)
+   */
+  async listAll(filter) {
+    return collections.listAll('tasks', { filter, sort: 'created' });
+  },
+
   async delete(id) {
     return collections.delete('tasks', id);
   },
 
   /**
-   * Get tasks in a user's court
+   * Get tasks in a user's court, most pressing (by tone) first
+   * Tasks stored before urgency was scored have no score - urgency breaks the tie.
    */
   async getMyCourt(userId, workspaceId) {
     return collections.list('tasks', {
       filter: `court_user = "${userId}" && workspace = "${workspaceId}" && status != "done"`,
-      sort: '-urgency,-created',
+      sort: '-urgency_score,-urgency,-created',
     });
   },
 
@@ -164,6 +231,24 @@ export const lobSessions = {
   async get(id) {
     return collections.get('lob_sessions', id);
   },
+
+  /**
+   * Find a lob session by the lobId the parse endpoints returned
+   */
+  async findByLobId(lobId) {
+    const result = await collections.list('lob_sessions', {
+      filter: `lob_id = "${lobId}"`,
+      perPage: 1,
+    });
+    return result.items[0] || null;
+  },
+
+  /**
+   * All lob sessions matching a filter (every page)
+   */
+  async listAll(filter) {
+    return collections.listAll('lob_sessions', { filter, sort: 'created' });
+  },
 };
 
 /**
@@ -270,6 +355,47 @@ export const companyBrain = {
       last_used: new Date().toISOString(),
     });
   },
+
+  /**
+   * How many memories of these types exist and when one last changed
+   * Cheap way to tell whether the brain has changed since a point in time.
+   */
+  async latestChange(workspaceId, memoryTypes) {
+    let filter = `(${memoryTypes.map(type => `memory_type = "${type}"`).join(' || ')})`;
+    if (workspaceId && workspaceId !== 'default') {
+      filter = `workspace = "${workspaceId}" && ${filter}`;
+    }
+    const result = await collections.list('company_brain', { filter, sort: '-updated', perPage: 1 });
+    return { count: result.totalItems, updated: result.items[0]?.updated || null };
+  },
+};
+
+/**
+ * Learned parse examples - user corrections replayed as few-shot examples
+ */
+export const parseExamples = {
+  /**
+   * A workspace's examples, pinned first, then newest
+   */
+  async list(workspaceId, { perPage = 100 } = {}) {
+    return collections.list('parse_examples', {
+      filter: `workspace = "${workspaceId}"`,
+      sort: '-pinned,-created',
+      perPage,
+    });
+  },
+
+  async create(data) {
+    return collections.create('parse_examples', { ...data, pinned: data.pinned || false });
+  },
+
+  async update(id, data) {
+    return collections.update('parse_examples', id, data);
+  },
+
+  async delete(id) {
+    return collections.delete('parse_examples', id);
+  },
 };
 
 /**
@@ -317,11 +443,106 @@ export const resolutions = {
   },
 };
 
+/**
+ * AI usage operations (token/audio accounting per call)
+ */
+export const aiUsage = {
+  async create(data) {
+    return collections.create('ai_usage', data);
+  },
+
+  /**
+   * All usage records matching a filter
+   */
+  async list(filter) {
+    return collections.listAll('ai_usage', { filter, sort: 'created' });
+  },
+
+  /**
+   * All usage records for a workspace in a date range ('' = no workspace)
+   */
+  async listRange(workspaceId, from, to) {
+    return aiUsage.list(`workspace = "${workspaceId}" && created >= "${from}" && created < "${to}"`);
+  },
+};
+
+/**
+ * Prompt registry operations (see lib/prompt-registry.js)
+ */
+export const promptVersions = {
+  async list() {
+    return collections.listAll('prompt_versions', { sort: '-created' });
+  },
+};
+
+export const promptExperiments = {
+  async listActive() {
+    return collections.listAll('prompt_experiments', { filter: 'active = true', sort: '-created' });
+  },
+};
+
+/**
+ * Parse cache operations (see lib/parse-cache.js)
+ */
+export const parseCache = {
+  async find(key) {
+    const result = await collections.list('parse_cache', {
+      filter: `key = "${key}"`,
+      sort: '-created',
+      perPage: 1,
+    });
+    return result.items[0] || null;
+  },
+
+  async create(data) {
+    return collections.create('parse_cache', data);
+  },
+
+  async delete(id) {
+    return collections.delete('parse_cache', id);
+  },
+};
+
+/**
+ * Venting records - lob chunks that were venting, not tasks
+ */
+export const vents = {
+  async list(options = {}) {
+    return collections.list('vents', options);
+  },
+
+  async get(id) {
+    return collections.get('vents', id);
+  },
+
+  async create(data) {
+    return collections.create('vents', { ...data, status: data.status || 'open' });
+  },
+
+  async update(id, data) {
+    return collections.update('vents', id, data);
+  },
+
+  /**
+   * All venting records matching a filter (every page)
+   */
+  async listAll(filter) {
+    return collections.listAll('vents', { filter, sort: 'created' });
+  },
+};
+
 export default {
   collections,
+  workspaces,
   tasks,
   lobSessions,
   threads,
   companyBrain,
+  parseExamples,
   resolutions,
+  aiUsage,
+  promptVersions,
+  promptExperiments,
+  parseCache,
+  vents,
 };
@@ -0,0 +1,320 @@
+/**
+ * Prompt Registry
+ *
+ * Named, versioned prompts, so changing a prompt isn't a deploy and
+ * versions can be compared on real traffic.
+ *
+ * Where versions come from (first match wins for a name + version):
+ * 1. PocketBase `prompt_versions` records (workspace-specific, then global)
+ * 2. Files on disk: <PROMPTS_DIR>/<name>/<version>.txt (default api/prompts)
+ * 3. The constants in prompts.js, registered as version "v1"
+ *
+ * Which version is active (first match wins):
+ * 1. An active prompt_versions record pinned to the workspace
+ * 2. An active prompt_experiments record for the prompt - traffic is split
+ *    between its control and variant versions by workspace or percentage
+ * 3. An active global prompt_versions record
+ * 4. PROMPT_VERSION_<NAME> (e.g. PROMPT_VERSION_LOB_PARSER=v2)
+ * 5. "v1"
+ *
+ * PocketBase state is cached for PROMPT_REGISTRY_CACHE_MS (default 30s).
+ * If PocketBase is unreachable, disk and built-in prompts keep working.
+ */
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  LOB_PARSER_PROMPT,
+  CONTEXT_SYNTHESIS_PROMPT,
+  CLASSIFICATION_PROMPT,
+  RESEARCH_PROMPT,
+  VENTING_PROMPT,
+  FOLLOW_UP_PROMPT,
+  IMAGE_CAPTION_PROMPT,
+} from './prompts.js';
+import { promptVersions, promptExperiments, lobSessions, tasks } from './pocketbase.js';
+
+const DEFAULT_PROMPTS_DIR = fileURLToPath(new URL('../../prompts', import.meta.url));
+
+export const BUILTIN_VERSION = 'v1';
+
+/**
+ * Registered prompt names and their built-in (v1) text
+ */
+export const BUILTIN_PROMPTS = {
+  lob_parser: LOB_PARSER_PROMPT,
+  context_synthesis: CONTEXT_SYNTHESIS_PROMPT,
+  classification: CLASSIFICATION_PROMPT,
+  research: RESEARCH_PROMPT,
+  venting: VENTING_PROMPT,
+  follow_up: FOLLOW_UP_PROMPT,
+  image_caption: IMAGE_CAPTION_PROMPT,
+};
+
+let registryState = null;
+
+function workspaceField(workspaceId) {
+  return workspaceId && workspaceId !== 'default' ? workspaceId : '';
+}
+
+/**
+ * Read <PROMPTS_DIR>/<name>/<version>.txt for every registered name
+ */
+async function loadDiskPrompts() {
+  const dir = process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+  const prompts = [];
+
+  for (const name of Object.keys(BUILTIN_PROMPTS)) {
+    let files;
+    try {
+      files = await readdir(join(dir, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    for (const file of files.filter(file => file.endsWith('.txt'))) {
+      prompts.push({
+        name,
+        version: file.slice(0, -'.txt'.length),
+        content: await readFile(join(dir, name, file), 'utf8'),
+      });
+    }
+  }
+
+  return prompts;
+}
+
+/**
+ * Load (or reuse) disk prompts plus PocketBase versions and experiments
+ */
+async function loadRegistry() {
+  const cacheMs = parseInt(process.env.PROMPT_REGISTRY_CACHE_MS) || 30000;
+  if (registryState && Date.now() - registryState.loadedAt < cacheMs) {
+    return registryState;
+  }
+
+  const state = { loadedAt: Date.now(), disk: await loadDiskPrompts(), records: [], experiments: [] };
+
+  try {
+    [state.records, state.experiments] = await Promise.all([
+      promptVersions.list(),
+      promptExperiments.listActive(),
+    ]);
+  } catch (error) {
+    console.error('Prompt registry: PocketBase unavailable, using disk and built-in prompts:', error.message);
+  }
+
+  registryState = state;
+  return state;
+}
+
+/**
+ * Find a version's text and where it came from
+ */
+function findVersion(state, name, version, workspace) {
+  const records = state.records.filter(record =>
+    record.name === name && record.version === version && record.content
+  );
+  const record = records.find(r => r.workspace === workspace) || records.find(r => !r.workspace);
+  if (record) {
+    return { content: record.content, source: 'pocketbase' };
+  }
+
+  const file = state.disk.find(prompt => prompt.name === name && prompt.version === version);
+  if (file) {
+    return { content: file.content, source: 'disk' };
+  }
+
+  if (version === BUILTIN_VERSION && BUILTIN_PROMPTS[name]) {
+    return { content: BUILTIN_PROMPTS[name], source: 'builtin' };
+  }
+
+  return null;
+}
+
+/**
+ * Pick the experiment arm for a request
+ * Percentage splits hash the unit, so a retried lob lands on the same arm.
+ */
+function experimentArm(experiment, workspace, unit) {
+  if (experiment.split === 'workspace') {
+    return (experiment.workspaces || []).includes(workspace) ? 'variant' : 'control';
+  }
+
+  const bucket = parseInt(
+    createHash('sha256').update(`${experiment.id}:${unit}`).digest('hex').slice(0, 8),
+    16
+  ) % 100;
+  return bucket < (experiment.percentage || 0) ? 'variant' : 'control';
+}
+
+/**
+ * Resolve the prompt to use for a request
+ *
+ * @param {string} name - Registered prompt name (e.g. 'lob_parser')
+ * @param {object} options
+ * @param {string} options.workspace - Workspace ID
+ * @param {string} options.unit - What percentage splits hash on (e.g. sender + input)
+ * @returns {Promise<{name, version, content, source, experiment}>}
+ *   experiment is { name, arm: 'control' | 'variant' } when one applied
+ */
+export async function resolvePrompt(name, { workspace = null, unit = '' } = {}) {
+  if (!BUILTIN_PROMPTS[name]) {
+    throw new Error(`Unknown prompt: ${name}. Registered: ${Object.keys(BUILTIN_PROMPTS).join(', ')}`);
+  }
+
+  const state = await loadRegistry();
+  const workspaceId = workspaceField(workspace);
+  const active = state.records.filter(record => record.name === name && record.active);
+
+  let version = null;
+  let experiment = null;
+
+  const pinned = workspaceId && active.find(record => record.workspace === workspaceId);
+  const running = state.experiments.find(candidate => candidate.prompt === name);
+
+  if (pinned) {
+    version = pinned.version;
+  } else if (running) {
+    const arm = experimentArm(running, workspaceId, unit || `${workspaceId}:${Math.random()}`);
+    version = running[arm];
+    experiment = { name: running.name, arm };
+  } else {
+    version = active.find(record => !record.workspace)?.version
+      || process.env[`PROMPT_VERSION_${name.toUpperCase()}`]
+      || BUILTIN_VERSION;
+  }
+
+  const found = findVersion(state, name, version, workspaceId);
+  if (!found) {
+    // A typo in the active version shouldn't take parsing down - fall back to v1
+    console.error(`Prompt registry: ${name}@${version} not found, using ${BUILTIN_VERSION}`);
+    return { name, version: BUILTIN_VERSION, content: BUILTIN_PROMPTS[name], source: 'builtin', experiment: null };
+  }
+
+  return { name, version, ...found, experiment };
+}
+
+/**
+ * Every registered prompt with its known versions, active version and experiment
+ */
+export async function listPrompts() {
+  const state = await loadRegistry();
+
+  return Object.keys(BUILTIN_PROMPTS).map((name) => {
+    const versions = new Map([[BUILTIN_VERSION, { version: BUILTIN_VERSION, sources: ['builtin'] }]]);
+    const addSource = (version, source, workspace = '') => {
+      if (!versions.has(version)) versions.set(version, { version, sources: [] });
+      versions.get(version).sources.push(workspace ? `${source}:${workspace}` : source);
+    };
+
+    state.disk.filter(prompt => prompt.name === name).forEach(prompt => addSource(prompt.version, 'disk'));
+    state.records
+      .filter(record => record.name === name && record.content)
+      .forEach(record => addSource(record.version, 'pocketbase', record.workspace));
+
+    const active = state.records.filter(record => record.name === name && record.active);
+    const experiment = state.experiments.find(candidate => candidate.prompt === name);
+
+    return {
+      name,
+      active: active.find(record => !record.workspace)?.version
+        || process.env[`PROMPT_VERSION_${name.toUpperCase()}`]
+        || BUILTIN_VERSION,
+      pinned: Object.fromEntries(
+        active.filter(record => record.workspace).map(record => [record.workspace, record.version])
+      ),
+      experiment: experiment ? {
+        name: experiment.name,
+        control: experiment.control,
+        variant: experiment.variant,
+        split: experiment.split,
+        percentage: experiment.split === 'percentage' ? experiment.percentage : undefined,
+        workspaces: experiment.split === 'workspace' ? experiment.workspaces : undefined,
+      } : null,
+      versions: [...versions.values()],
+    };
+  });
+}
+
+/**
+ * Text of one prompt version (as a workspace would see it)
+ */
+export async function getPromptVersion(name, version, workspace = null) {
+  const state = await loadRegistry();
+  const found = findVersion(state, name, version, workspaceField(workspace));
+  return found ? { name, version, ...found } : null;
+}
+
+/**
+ * Compare lob parser versions by how often their tasks were corrected
+ *
+ * Joins tasks to their lob session's prompt_version; a task counts as
+ * corrected if a parser-produced field was edited after creation
+ * (tasks.edit_count, see PATCH /api/tasks/:id).
+ *
+ * @param {object} options
+ * @param {string} options.workspace - Limit to one workspace
+ * @param {string} options.experiment - Limit to one experiment's sessions
+ * @param {Date} options.from - Sessions created on or after
+ * @param {Date} options.to - Sessions created before
+ */
+export async function getPromptReport({ workspace = null, experiment = null, from, to }) {
+  const pbDate = date => date.toISOString().replace('T', ' ');
+  const conditions = [`created >= "${pbDate(from)}"`, `created < "${pbDate(to)}"`, 'prompt_version != ""'];
+  if (workspaceField(workspace)) conditions.push(`workspace = "${workspaceField(workspace)}"`);
+  if (experiment) conditions.push(`prompt_experiment = "${experiment}"`);
+
+  const sessions = await lobSessions.listAll(conditions.join(' && '));
+  const sessionVersions = new Map(sessions.map(session => [session.id, session.prompt_version]));
+  const taskConditions = conditions.map(condition => `lob_session.${condition}`);
+  const sessionTasks = sessions.length ? await tasks.listAll(taskConditions.join(' && ')) : [];
+
+  const byVersion = new Map();
+  const bucket = (version) => {
+    if (!byVersion.has(version)) {
+      byVersion.set(version, { sessions: 0, tasks: 0, correctedTasks: 0, edits: 0, editedFields: {} });
+    }
+    return byVersion.get(version);
+  };
+
+  for (const session of sessions) {
+    bucket(session.prompt_version).sessions++;
+  }
+
+  for (const task of sessionTasks) {
+    const totals = bucket(sessionVersions.get(task.lob_session));
+    totals.tasks++;
+    if (task.edit_count > 0) {
+      totals.correctedTasks++;
+      totals.edits += task.edit_count;
+      for (const field of task.edited_fields || []) {
+        totals.editedFields[field] = (totals.editedFields[field] || 0) + 1;
+      }
+    }
+  }
+
+  return {
+    prompt: 'lob_parser',
+    workspace: workspace || null,
+    experiment: experiment || null,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    versions: Object.fromEntries([...byVersion].map(([version, totals]) => [version, {
+      ...totals,
+      correctionRate: totals.tasks ? Math.round((totals.correctedTasks / totals.tasks) * 1000) / 1000 : null,
+    }])),
+  };
+}
+
+export default {
+  BUILTIN_VERSION,
+  BUILTIN_PROMPTS,
+  resolvePrompt,
+  listPrompts,
+  getPromptVersion,
+  getPromptReport,
+};
@@ -0,0 +1,227 @@
+/**
+ * Search Adapter - Pluggable Interface
+ *
+ * How the Junior Researcher looks things up. Each search backend gets its
+ * own implementation; pick one with SEARCH_PROVIDER:
+ *
+ * - local (default): keyword search over files in SEARCH_FIXTURES_DIR
+ *   (default test/fixtures/search). Works offline - point it at fixtures
+ *   for tests or at a folder of internal docs.
+ * - brave: Brave Search API (BRAVE_SEARCH_API_KEY)
+ * - searxng: a SearXNG instance with the JSON format enabled (SEARXNG_URL)
+ *
+ * Every adapter returns [{ title, url, snippet }].
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { extname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../../../test/fixtures/search', import.meta.url));
+
+// Longest snippet kept per result - the researcher reads several at once
+const MAX_SNIPPET = 500;
+
+function snippet(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_SNIPPET ? `${clean.slice(0, MAX_SNIPPET)}...` : clean;
+}
+
+/**
+ * SearchAdapter Interface
+ *
+ * All implementations must provide search().
+ */
+export class SearchAdapter {
+  get name() {
+    throw new Error('Not implemented: name');
+  }
+
+  /**
+   * Search for a query
+   * @param {string} query - Search query
+   * @param {object} options - { limit }
+   * @returns {Promise<Array<{title, url, snippet}>>}
+   */
+  async search(query, options = {}) {
+    throw new Error('Not implemented: search');
+  }
+}
+
+/**
+ * Local Implementation
+ *
+ * Documents are loaded from the fixtures directory:
+ * - *.json: an array of { title, url, content }
+ * - *.md / *.txt: one document each, titled by file name
+ *
+ * Ranked by how many query words appear in the title (x2) and content.
+ */
+export class LocalSearchAdapter extends SearchAdapter {
+  constructor(dir = process.env.SEARCH_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+    super();
+    this.dir = dir;
+    this.documents = null;
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  async loadDocuments() {
+    if (this.documents) return this.documents;
+
+    let files = [];
+    try {
+      files = await readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      console.warn(`Local search: ${this.dir} does not exist, searches will return nothing`);
+    }
+
+    const documents = [];
+    for (const file of files.sort()) {
+      const path = join(this.dir, file);
+      const extension = extname(file).toLowerCase();
+
+      if (extension === '.json') {
+        const entries = JSON.parse(await readFile(path, 'utf8'));
+        for (const entry of Array.isArray(entries) ? entries : [entries]) {
+          documents.push({
+            title: entry.title || file,
+            url: entry.url || pathToFileURL(path).href,
+            content: entry.content || entry.snippet || '',
+          });
+        }
+      } else if (extension === '.md' || extension === '.txt') {
+        documents.push({
+          title: file.slice(0, -extension.length).replace(/[-_]+/g, ' '),
+          url: pathToFileURL(path).href,
+          content: await readFile(path, 'utf8'),
+        });
+      }
+    }
+
+    this.documents = documents;
+    return documents;
+  }
+
+  async search(query, options = {}) {
+    const { limit = 5 } = options;
+    const words = String(query).toLowerCase().match(/[a-z0-9]{3,}/g) || [];
+    if (words.length === 0) return [];
+
+    const documents = await this.loadDocuments();
+
+    return documents
+      .map((doc) => {
+        const title = doc.title.toLowerCase();
+        const content = doc.content.toLowerCase();
+        const score = words.reduce((total, word) =>
+          total + (title.includes(word) ? 2 : 0) + (content.includes(word) ? 1 : 0), 0);
+        return { doc, score };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ doc }) => ({ title: doc.title, url: doc.url, snippet: snippet(doc.content) }));
+  }
+}
+
+/**
+ * Brave Search Implementation
+ */
+export class BraveSearchAdapter extends SearchAdapter {
+  constructor(apiKey = process.env.BRAVE_SEARCH_API_KEY) {
+    super();
+    if (!apiKey) {
+      throw new Error('Missing API key for brave search. Set BRAVE_SEARCH_API_KEY in your .env file.');
+    }
+    this.apiKey = apiKey;
+  }
+
+  get name() {
+    return 'brave';
+  }
+
+  async search(query, options = {}) {
+    const { limit = 5 } = options;
+    const params = new URLSearchParams({ q: query, count: String(limit) });
+
+    const response = await fetch(`https://api.search.brave.com/res/v1/web/search?${params}`, {
+      headers: { Accept: 'application/json', 'X-Subscription-Token': this.apiKey },
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+      throw new Error(`Brave search failed: ${response.status} ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    return (data.web?.results || []).slice(0, limit).map(result => ({
+      title: result.title,
+      url: result.url,
+      snippet: snippet(result.description),
+    }));
+  }
+}
+
+/**
+ * SearXNG Implementation
+ */
+export class SearxngSearchAdapter extends SearchAdapter {
+  constructor(baseUrl = process.env.SEARXNG_URL) {
+    super();
+    if (!baseUrl) {
+      throw new Error('Missing SearXNG URL. Set SEARXNG_URL in your .env file.');
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  get name() {
+    return 'searxng';
+  }
+
+  async search(query, options = {}) {
+    const { limit = 5 } = options;
+    const params = new URLSearchParams({ q: query, format: 'json' });
+
+    const response = await fetch(`${this.baseUrl}/search?${params}`, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+      throw new Error(`SearXNG search failed: ${response.status} ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    return (data.results || []).slice(0, limit).map(result => ({
+      title: result.title,
+      url: result.url,
+      snippet: snippet(result.content),
+    }));
+  }
+}
+
+/**
+ * Factory function to get the configured search adapter
+ */
+export function getSearchAdapter(backend = process.env.SEARCH_PROVIDER || 'local') {
+  switch (backend.toLowerCase()) {
+    case 'local':
+      return new LocalSearchAdapter();
+    case 'brave':
+      return new BraveSearchAdapter();
+    case 'searxng':
+      return new SearxngSearchAdapter();
+    default:
+      throw new Error(`Unknown search provider: ${backend}. Supported: local, brave, searxng`);
+  }
+}
+
+export default {
+  SearchAdapter,
+  LocalSearchAdapter,
+  BraveSearchAdapter,
+  SearxngSearchAdapter,
+  getSearchAdapter,
+};
@@ -0,0 +1,237 @@
+/**
+ * Span Alignment
+ *
+ * rawChunk is what the model says it read, which isn't always verbatim -
+ * it fixes typos, drops filler words, sometimes paraphrases. So the app can
+ * highlight where each task came from, every task chunk and entity mention
+ * is aligned back to the raw input:
+ *
+ * - exact: the same words in the same order (case, punctuation and
+ *   spacing ignored)
+ * - fuzzy: the stretch of input sharing most of the chunk's meaningful
+ *   words, if it shares at least SPAN_MIN_OVERLAP of them
+ * - ungrounded: nothing close enough - span is null, and the chunk may be
+ *   something the model made up
+ *
+ * Spans are [start, end) character offsets into rawInput. For transcribed
+ * lobs they are also mapped to audio time via the transcript's segments
+ * (audioSpan, in seconds - see addAudioSpans).
+ *
+ * Configure via environment:
+ * - SPAN_MIN_OVERLAP: share of meaningful words a fuzzy match needs (default 0.6)
+ */
+
+import { STOPWORDS } from './text-similarity.js';
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Words with their offsets in the text
+ */
+function tokenize(text) {
+  return [...String(text || '').matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+function isMeaningful(word) {
+  return word.length >= 3 && !STOPWORDS.has(word);
+}
+
+/**
+ * Index of the chunk's words appearing in order in the source, or -1
+ * Looks from `from` onwards first, then from the beginning.
+ */
+function findSequence(sourceTokens, chunkTokens, from) {
+  const last = sourceTokens.length - chunkTokens.length;
+  const matchesAt = index => chunkTokens.every((token, offset) => sourceTokens[index + offset].word === token.word);
+
+  for (let index = from; index <= last; index++) {
+    if (matchesAt(index)) return index;
+  }
+  for (let index = 0; index < Math.min(from, last + 1); index++) {
+    if (matchesAt(index)) return index;
+  }
+  return -1;
+}
+
+/**
+ * The chunk-length window of the source sharing the most meaningful words
+ * with the chunk, trimmed to the words they share
+ * @returns {{first: number, last: number, overlap: number}|null}
+ */
+function bestWindow(sourceTokens, chunkTokens, from) {
+  const meaningful = chunkTokens.filter(token => isMeaningful(token.word));
+  const counted = meaningful.length ? meaningful : chunkTokens;
+
+  const wanted = new Map();
+  for (const { word } of counted) wanted.set(word, (wanted.get(word) || 0) + 1);
+
+  const size = Math.min(chunkTokens.length, sourceTokens.length);
+  const inWindow = new Map();
+  let shared = 0;
+  let best = null;
+
+  const add = word => {
+    if (!wanted.has(word)) return;
+    if ((inWindow.get(word) || 0) < wanted.get(word)) shared++;
+    inWindow.set(word, (inWindow.get(word) || 0) + 1);
+  };
+  const remove = word => {
+    if (!wanted.has(word)) return;
+    inWindow.set(word, inWindow.get(word) - 1);
+    if (inWindow.get(word) < wanted.get(word)) shared--;
+  };
+
+  for (let index = 0; index < sourceTokens.length; index++) {
+    add(sourceTokens[index].word);
+    if (index >= size) remove(sourceTokens[index - size].word);
+    if (index < size - 1) continue;
+
+    const first = index - size + 1;
+    // Ties go to the first window after the previous item
+    if (!best || shared > best.shared || (shared === best.shared && best.first < from && first >= from)) {
+      best = { first, last: index, shared };
+    }
+  }
+
+  if (!best?.shared) return null;
+
+  while (!wanted.has(sourceTokens[best.first].word)) best.first++;
+  while (!wanted.has(sourceTokens[best.last].word)) best.last--;
+  return { first: best.first, last: best.last, overlap: best.shared / counted.length };
+}
+
+/**
+ * Find where a piece of text came from in the source
+ *
+ * @param {string} text - Model output to ground (rawChunk, entity mention)
+ * @param {string} source - The raw lob
+ * @param {object} options
+ * @param {number} options.from - Character offset to prefer matches after (default 0)
+ * @param {number} options.minOverlap - Share of words a fuzzy match needs (default SPAN_MIN_OVERLAP)
+ * @returns {{span: [number, number]|null, match: 'exact'|'fuzzy'|'ungrounded'}}
+ */
+export function alignSpan(text, source, {
+  from = 0,
+  minOverlap = envNumber('SPAN_MIN_OVERLAP', 0.6),
+} = {}) {
+  const sourceTokens = tokenize(source);
+  const chunkTokens = tokenize(text);
+  if (!sourceTokens.length || !chunkTokens.length) return { span: null, match: 'ungrounded' };
+
+  const fromToken = Math.max(0, sourceTokens.findIndex(token => token.start >= from));
+
+  const exact = findSequence(sourceTokens, chunkTokens, fromToken);
+  if (exact !== -1) {
+    return {
+      span: [sourceTokens[exact].start, sourceTokens[exact + chunkTokens.length - 1].end],
+      match: 'exact',
+    };
+  }
+
+  const window = bestWindow(sourceTokens, chunkTokens, fromToken);
+  if (window && window.overlap >= minOverlap) {
+    return { span: [sourceTokens[window.first].start, sourceTokens[window.last].end], match: 'fuzzy' };
+  }
+
+  return { span: null, match: 'ungrounded' };
+}
+
+/**
+ * Add span and spanMatch to a parsed task
+ * @param {object} task - Parsed task
+ * @param {string} source - The raw lob
+ * @param {object} options - { from } as for alignSpan
+ */
+export function groundTask(task, source, options = {}) {
+  if (!task) return task;
+  const { span, match } = alignSpan(task.rawChunk || task.summary, source, options);
+  return { ...task, span, spanMatch: match };
+}
+
+/**
+ * Add span and spanMatch to an extracted entity
+ */
+export function groundEntity(entity, source) {
+  if (!entity) return entity;
+  const { span, match } = alignSpan(entity.mention, source);
+  return { ...entity, span, spanMatch: match };
+}
+
+/**
+ * Ground every task and entity of a parse in the raw lob
+ * Tasks come in lob order, so each one is looked for after the last.
+ */
+export function groundParse({ tasks, entities }, source) {
+  let from = 0;
+  const grounded = tasks.map(task => {
+    const result = groundTask(task, source, { from });
+    if (result?.span) from = result.span[0];
+    return result;
+  });
+
+  return { tasks: grounded, entities: entities.map(entity => groundEntity(entity, source)) };
+}
+
+/**
+ * Where each transcript segment sits in the transcript text
+ */
+function transcriptTimeline(text, segments = []) {
+  const timeline = [];
+  let cursor = 0;
+
+  for (const segment of segments) {
+    const piece = String(segment.text || '').trim();
+    const at = piece ? text.indexOf(piece, cursor) : -1;
+    if (at === -1) continue;
+
+    timeline.push({ charStart: at, charEnd: at + piece.length, start: segment.start, end: segment.end });
+    cursor = at + piece.length;
+  }
+
+  return timeline;
+}
+
+/**
+ * Audio time of a character offset, interpolated within its segment
+ */
+function timeAt(timeline, offset) {
+  const segment = timeline.find(entry => offset <= entry.charEnd) || timeline[timeline.length - 1];
+  if (offset <= segment.charStart) return segment.start;
+
+  const ratio = Math.min(1, (offset - segment.charStart) / Math.max(1, segment.charEnd - segment.charStart));
+  return Math.round((segment.start + ratio * (segment.end - segment.start)) * 100) / 100;
+}
+
+/**
+ * Map grounded spans to audio timestamps
+ * Without segments (e.g. an older recorded transcript) the parse is returned as is.
+ *
+ * @param {{tasks: Array, entities: Array}} parsed - Grounded parse of transcript.text
+ * @param {object} transcript - transcribeAudio() result ({ text, segments })
+ * @returns {{tasks: Array, entities: Array}} Grounded items gain audioSpan: [startSeconds, endSeconds]
+ */
+export function addAudioSpans({ tasks, entities }, transcript) {
+  const timeline = transcriptTimeline(transcript?.text || '', transcript?.segments);
+  if (!timeline.length) return { tasks, entities };
+
+  const withAudio = item => (item.span
+    ? { ...item, audioSpan: [timeAt(timeline, item.span[0]), timeAt(timeline, item.span[1])] }
+    : item);
+
+  return { tasks: tasks.map(withAudio), entities: entities.map(withAudio) };
+}
+
+export default {
+  alignSpan,
+  groundTask,
+  groundEntity,
+  groundParse,
+  addAudioSpans,
+};
@@ -0,0 +1,159 @@
+/**
+ * Task Reclassifier
+ *
+ * Re-runs classification for a task that already exists, with the company
+ * brain as it is now: routing patterns, people and systems. A task parsed
+ * as venting before anyone taught the brain who owns the website can come
+ * back as a task routed to the right person.
+ *
+ * Used by POST /api/tasks/:id/reclassify and the bulk
+ * POST /api/tasks/reclassify.
+ */
+
+import { jsonCompletionWithMetadata } from './ai-provider.js';
+import { validateClassificationOutput } from './lob-schema.js';
+import { resolvePrompt } from './prompt-registry.js';
+import { companyBrain, tasks, threads } from './pocketbase.js';
+
+export const CLASSIFIER_OPTIONS = {
+  temperature: 0.2,
+  maxTokens: 500,
+  taskType: 'logic',
+};
+
+// Task fields the model sees - enough to judge the task, nothing internal
+const TASK_FIELDS = [
+  'summary',
+  'raw_input',
+  'current_state',
+  'desired_outcome',
+  'system_name',
+  'urgency',
+  'classification',
+];
+
+/**
+ * Load the company context the classifier routes with
+ * Loaded once per request, so a bulk run doesn't reload it per task.
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<{people: Array, systems: Array, routing: Array}>}
+ */
+export async function loadClassificationContext(workspaceId) {
+  const [people, systems, routing] = await Promise.all(
+    ['person', 'system', 'routing'].map(type => companyBrain.list(workspaceId, type))
+  );
+
+  return {
+    people: people.items.map(memory => ({
+      id: memory.id,
+      name: memory.key,
+      role: memory.value?.role || null,
+    })),
+    systems: systems.items.map(memory => ({
+      id: memory.id,
+      name: memory.key,
+      owner: memory.value?.owner || null,
+    })),
+    routing: routing.items.map(memory => ({
+      key: memory.key,
+      assignee: memory.value?.assignee,
+      assigneeId: memory.value?.assignee_id || null,
+      reason: memory.value?.reason || null,
+      confidence: memory.confidence || 0.5,
+    })),
+  };
+}
+
+/**
+ * Find the person record the model's suggested route names
+ */
+function matchPerson(name, context) {
+  if (!name) return null;
+
+  const wanted = name.trim().toLowerCase();
+  const person = context.people.find(candidate => candidate.name.toLowerCase() === wanted);
+  if (person) return person.id;
+
+  const pattern = context.routing.find(candidate => candidate.assignee?.toLowerCase() === wanted);
+  return pattern?.assigneeId || null;
+}
+
+/**
+ * Classify one task against the company context
+ *
+ * @param {object} task - tasks record
+ * @param {object} context - loadClassificationContext() result
+ * @param {object} options
+ * @param {object} options.routes - Workspace AI routing overrides (workspaces.ai_routes)
+ * @returns {Promise<{classification, previousClassification, changed, suggestedRoute, meta}>}
+ *   suggestedRoute is { name, id, confidence, reason } or null
+ */
+export async function classifyTask(task, context, { routes = null } = {}) {
+  const { content, ...promptInfo } = await resolvePrompt('classification', {
+    workspace: task.workspace,
+    unit: task.id,
+  });
+
+  const taskView = Object.fromEntries(
+    TASK_FIELDS.filter(field => task[field]).map(field => [field, task[field]])
+  );
+
+  const { data, metadata } = await jsonCompletionWithMetadata([
+    { role: 'system', content: `${content}\n\n## Company Context\n${JSON.stringify(context, null, 2)}` },
+    { role: 'user', content: JSON.stringify(taskView, null, 2) },
+  ], { ...CLASSIFIER_OPTIONS, routes, validate: validateClassificationOutput });
+
+  return {
+    classification: data.classification,
+    previousClassification: task.classification || null,
+    changed: data.classification !== task.classification,
+    suggestedRoute: data.suggestedRoute ? {
+      name: data.suggestedRoute,
+      id: matchPerson(data.suggestedRoute, context),
+      confidence: data.routingConfidence,
+      reason: data.routingReason,
+    } : null,
+    meta: { ...metadata, prompt: promptInfo },
+  };
+}
+
+/**
+ * Describe a reclassification for the task's thread
+ */
+function describeChange(result) {
+  const parts = [`Reclassified from ${result.previousClassification || 'unclassified'} to ${result.classification}`];
+
+  if (result.suggestedRoute) {
+    const { name, confidence, reason } = result.suggestedRoute;
+    parts.push(`suggested route: ${name} (${Math.round(confidence * 100)}%)${reason ? ` - ${reason}` : ''}`);
+  }
+
+  return parts.join('; ');
+}
+
+/**
+ * Save a classification result on the task and note it in the thread
+ * Only changes are written to the thread, so bulk runs don't flood it.
+ *
+ * @returns {Promise<object>} The updated task
+ */
+export async function applyClassification(task, result) {
+  const updated = await tasks.update(task.id, {
+    classification: result.classification,
+    suggested_route: result.suggestedRoute,
+  });
+
+  if (result.changed) {
+    await threads.addSystemEvent(task.id, 'system', describeChange(result));
+  }
+
+  return updated;
+}
+
+export default {
+  CLASSIFIER_OPTIONS,
+  loadClassificationContext,
+  classifyTask,
+  applyClassification,
+};
@@ -0,0 +1,43 @@
+/**
+ * Text Similarity
+ *
+ * Cheap word-overlap similarity for comparing lobs and task summaries,
+ * used where an embedding lookup would be overkill (learned examples,
+ * duplicate detection).
+ */
+
+// Too common to say two texts are about the same thing
+export const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'you', 'are', 'was', 'have', 'has', 'need', 'needs',
+  'can', 'will', 'from', 'but', 'not', 'just', 'also', 'our', 'its', "it's", 'get', 'got', 'too',
+]);
+
+/**
+ * Distinct meaningful words (3+ letters or digits in any script, no stopwords)
+ * @returns {Set<string>}
+ */
+export function words(text) {
+  const matches = String(text || '').toLowerCase().match(/[\p{L}\p{M}\p{N}']{3,}/gu) || [];
+  return new Set(matches.filter(word => !STOPWORDS.has(word)));
+}
+
+/**
+ * Jaccard overlap of the two texts' words (0-1)
+ */
+export function similarity(a, b) {
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+export default {
+  STOPWORDS,
+  words,
+  similarity,
+};
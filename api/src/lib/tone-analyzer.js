@@ -0,0 +1,212 @@
+/**
+ * Urgency From Tone
+ *
+ * Level 10 - "How it's said, not just what". Each parsed task's rawChunk
+ * is scored on three dimensions, 0-1 each:
+ *
+ * - frustration: all caps, repeated punctuation, "again", "still", "ugh"
+ * - timePressure: "asap", "today", a deadline within a couple of days,
+ *   the parser itself calling it urgent
+ * - customerImpact: "customers are complaining", "losing sales", "site is down"
+ *
+ * The dimensions combine into one urgencyScore (a dimension that is maxed
+ * out is enough on its own), which is mapped to urgency. Every score comes
+ * with the signals that drove it, so the court can explain its ordering.
+ *
+ * Phrases are matched in English; rawChunk is kept in the language it was
+ * said, so other languages only score on caps, punctuation and deadlines.
+ *
+ * Thresholds can be tuned per workspace (workspaces.urgency_thresholds:
+ * { urgent, deadlineHours }) over these environment defaults:
+ * - URGENCY_THRESHOLD: score at which a task becomes urgent (default 0.6)
+ * - URGENCY_DEADLINE_HOURS: how close a deadline adds time pressure (default 48)
+ */
+
+// How much a maxed-out dimension contributes to the overall score
+const WEIGHTS = { frustration: 0.5, timePressure: 0.9, customerImpact: 0.8 };
+
+// Phrase signals: [dimension, pattern, weight]
+const PHRASES = [
+  [
+    'frustration',
+    /\b(again|still|ugh+|ridiculous|unacceptable|fed up|sick of|seriously|how many times|for the \w+ time)\b/gi,
+    0.25,
+  ],
+  ['frustration', /\bfrustrat\w*|\bannoy\w*/gi, 0.25],
+  ['timePressure', /\b(asap|urgent(ly)?|emergency|immediately|right (now|away)|as soon as possible)\b/gi, 0.7],
+  ['timePressure', /\b(today|tonight|this (morning|afternoon)|end of (the )?day|eod)\b/gi, 0.35],
+  [
+    'customerImpact',
+    /\b(customers?|clients?|users?|visitors?|patients?|guests?)\b[^.!?]{0,40}?\b(complain\w*|angry|upset|can'?t|cannot|unable|calling|leaving)\b/gi,
+    0.6,
+  ],
+  ['customerImpact', /\b(losing|lost) (sales|money|orders|customers|clients|business|revenue)\b/gi, 0.6],
+  ['customerImpact', /\b(is|are|went|gone) (down|offline)\b|\boutage\b|\bnot loading\b|\bcrash(ed|ing)?\b/gi, 0.4],
+];
+
+// Words in caps that are shouting rather than acronyms
+const MIN_SHOUTED_LENGTH = 4;
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Thresholds for a workspace
+ * @param {object} overrides - workspaces.urgency_thresholds
+ * @returns {{urgent: number, deadlineHours: number}}
+ */
+export function resolveUrgencyThresholds(overrides = null) {
+  const thresholds = {
+    urgent: envNumber('URGENCY_THRESHOLD', 0.6),
+    deadlineHours: envNumber('URGENCY_DEADLINE_HOURS', 48),
+  };
+
+  for (const key of Object.keys(thresholds)) {
+    const value = parseFloat(overrides?.[key]);
+    if (!Number.isNaN(value)) thresholds[key] = value;
+  }
+  return thresholds;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Signals in how the chunk was written
+ */
+function styleSignals(text) {
+  const signals = [];
+
+  const shouted = (text.match(/\b[A-Z][A-Z']+\b/g) || [])
+    .filter(word => word.length >= MIN_SHOUTED_LENGTH);
+  if (shouted.length) {
+    signals.push({
+      dimension: 'frustration',
+      signal: `all caps ("${[...new Set(shouted)].slice(0, 3).join(' ')}")`,
+      weight: Math.min(0.2 * shouted.length, 0.5),
+    });
+  }
+
+  const punctuation = text.match(/[!?]{2,}/g) || [];
+  if (punctuation.length) {
+    signals.push({
+      dimension: 'frustration',
+      signal: `repeated punctuation ("${punctuation[0]}")`,
+      weight: Math.min(0.3 * punctuation.length, 0.5),
+    });
+  }
+
+  return signals;
+}
+
+/**
+ * Signals from what the parser already worked out
+ */
+function deadlineSignals(task, { referenceDate, deadlineHours }) {
+  const signals = [];
+
+  const due = task.deadline ? Date.parse(task.deadline) : NaN;
+  if (!Number.isNaN(due)) {
+    const hours = (due - new Date(referenceDate).getTime()) / 3600000;
+    const phrase = task.deadlineText || task.deadline;
+    if (hours < 0) {
+      signals.push({ dimension: 'timePressure', signal: `overdue ("${phrase}")`, weight: 0.7 });
+    } else if (hours <= deadlineHours) {
+      signals.push({ dimension: 'timePressure', signal: `due within ${Math.ceil(hours)}h ("${phrase}")`, weight: 0.5 });
+    }
+  }
+
+  // The model reads every language, so its call counts as much as "asap"
+  if (task.urgency === 'urgent') {
+    signals.push({ dimension: 'timePressure', signal: 'parser marked urgent', weight: 0.7 });
+  }
+
+  return signals;
+}
+
+/**
+ * Score a parsed task's tone
+ *
+ * @param {object} task - Parsed task (rawChunk, urgency, normalized deadline)
+ * @param {object} options
+ * @param {Date|string} options.referenceDate - When the lob was sent (default: now)
+ * @param {object} options.thresholds - resolveUrgencyThresholds() result
+ * @returns {{frustration, timePressure, customerImpact, score, signals}}
+ */
+export function analyzeTone(task, {
+  referenceDate = new Date(),
+  thresholds = resolveUrgencyThresholds(),
+} = {}) {
+  const text = String(task.rawChunk || task.summary || '');
+  const signals = [...styleSignals(text)];
+
+  for (const [dimension, pattern, weight] of PHRASES) {
+    const matches = [...new Set([...text.matchAll(pattern)].map(match => match[0].toLowerCase()))];
+    for (const match of matches) {
+      signals.push({ dimension, signal: `"${match}"`, weight });
+    }
+  }
+
+  signals.push(...deadlineSignals(task, { referenceDate, deadlineHours: thresholds.deadlineHours }));
+
+  const dimensions = Object.fromEntries(Object.keys(WEIGHTS).map(dimension => [
+    dimension,
+    round(Math.min(1, signals
+      .filter(signal => signal.dimension === dimension)
+      .reduce((total, signal) => total + signal.weight, 0))),
+  ]));
+
+  // Combine so that any one strong dimension can carry the score
+  const calm = Object.entries(WEIGHTS)
+    .reduce((product, [dimension, weight]) => product * (1 - weight * dimensions[dimension]), 1);
+
+  return {
+    ...dimensions,
+    score: round(1 - calm),
+    signals: signals.sort((a, b) => b.weight - a.weight),
+  };
+}
+
+/**
+ * Map a tone score to urgency
+ * Below the urgent threshold, a task with a deadline is "deadline".
+ */
+export function urgencyFromScore(score, task, thresholds = resolveUrgencyThresholds()) {
+  if (score >= thresholds.urgent) return 'urgent';
+  if (task.deadline || task.deadlineText) return 'deadline';
+  return 'normal';
+}
+
+/**
+ * Score a parsed task and set its urgency from the score
+ *
+ * Adds urgencyScore and tone ({ frustration, timePressure, customerImpact,
+ * signals, parserUrgency }). Venting keeps the parser's urgency: being
+ * upset is the point of it, not a reason to rush.
+ *
+ * @param {object} task - Parsed task, after deadline normalization
+ * @param {object} options - { referenceDate, thresholds } as for analyzeTone
+ */
+export function scoreTaskUrgency(task, options = {}) {
+  if (!task || task.urgencyScore !== undefined) return task;
+
+  const thresholds = options.thresholds || resolveUrgencyThresholds();
+  const { score, ...tone } = analyzeTone(task, { ...options, thresholds });
+
+  return {
+    ...task,
+    urgency: task.classification === 'venting' ? task.urgency : urgencyFromScore(score, task, thresholds),
+    urgencyScore: score,
+    tone: { ...tone, parserUrgency: task.urgency },
+  };
+}
+
+export default {
+  resolveUrgencyThresholds,
+  analyzeTone,
+  urgencyFromScore,
+  scoreTaskUrgency,
+};
@@ -9,26 +9,41 @@
  * - FREE tier: 14,400 requests/day
  * - ~10% word error rate - excellent for chaotic speech
  * - Batch processing = better accuracy than real-time
+ *
+ * The 'replay' provider serves recorded transcripts from cassettes for
+ * deterministic tests (see cassettes.js). Record with CASSETTE_MODE=record
+ * and TRANSCRIPTION_REPLAY_UPSTREAM set to a real provider.
  */
 
+import { cassetteKey, withCassette } from './cassettes.js';
+
 const TRANSCRIPTION_PROVIDERS = {
   groq: {
     url: 'https://api.groq.com/openai/v1/audio/transcriptions',
     model: 'whisper-large-v3',
     envKey: 'GROQ_API_KEY',
+    // USD per hour of audio
+    pricePerHour: { default: 0.111, 'whisper-large-v3-turbo': 0.04 },
   },
   openai: {
     url: 'https://api.openai.com/v1/audio/transcriptions',
     model: 'whisper-1', // or 'gpt-4o-transcribe' for best accuracy
     envKey: 'OPENAI_API_KEY',
+    pricePerHour: { default: 0.36 },
+  },
+  replay: {
+    url: null,
+    model: 'cassette',
+    envKey: null,
+    pricePerHour: { default: 0 },
   },
 };
 
 /**
  * Get transcription provider config
  */
-function getTranscriptionConfig() {
-  const providerName = (process.env.TRANSCRIPTION_PROVIDER || 'groq').toLowerCase();
+function getTranscriptionConfig(providerName = process.env.TRANSCRIPTION_PROVIDER || 'groq') {
+  providerName = providerName.toLowerCase();
   const config = TRANSCRIPTION_PROVIDERS[providerName];
 
   if (!config) {
@@ -38,8 +53,8 @@ function getTranscriptionConfig() {
     );
   }
 
-  const apiKey = process.env[config.envKey];
-  if (!apiKey) {
+  const apiKey = config.envKey ? process.env[config.envKey] : null;
+  if (config.envKey && !apiKey) {
     throw new Error(
       `Missing API key for ${providerName} transcription. ` +
       `Set ${config.envKey} in your .env file.`
@@ -62,11 +77,24 @@ function getTranscriptionConfig() {
  * @param {Object} options - Optional settings
  * @param {string} options.language - Language code (e.g., 'en')
  * @param {string} options.prompt - Optional context to improve accuracy
- * @returns {Promise<Object>} - { text, duration, language }
+ * @returns {Promise<Object>} - { text, duration, language, segments, provider, model, latencyMs,
+ *   usage: { audioSeconds, cost } }
+ *   segments are Whisper's timed pieces of the text: [{ start, end, text }] in seconds
  */
 export async function transcribeAudio(audioData, filename = 'audio.webm', options = {}) {
   const config = getTranscriptionConfig();
 
+  if (config.name === 'replay') {
+    return replayTranscription(audioData, filename, options);
+  }
+
+  return whisperTranscription(config, audioData, filename, options);
+}
+
+/**
+ * Send audio to a Whisper-compatible transcription endpoint
+ */
+async function whisperTranscription(config, audioData, filename, options = {}) {
   // Create form data for multipart upload
   const formData = new FormData();
 
@@ -89,6 +117,7 @@ export async function transcribeAudio(audioData, filename = 'audio.webm', option
   // Response format - we want detailed response
   formData.append('response_format', 'verbose_json');
 
+  const started = Date.now();
   const response = await fetch(config.url, {
     method: 'POST',
     headers: {
@@ -108,11 +137,52 @@ export async function transcribeAudio(audioData, filename = 'audio.webm', option
     text: result.text,
     duration: result.duration,
     language: result.language,
+    segments: (result.segments || []).map(({ start, end, text }) => ({ start, end, text })),
     provider: config.name,
     model: config.model,
+    latencyMs: Date.now() - started,
+    usage: {
+      audioSeconds: result.duration ?? null,
+      cost: estimateTranscriptionCost(config, result.duration),
+    },
   };
 }
 
+/**
+ * Estimate the cost of transcribing `seconds` of audio in USD
+ */
+function estimateTranscriptionCost(config, seconds) {
+  if (seconds == null || !config.pricePerHour) return null;
+
+  const pricePerHour = config.pricePerHour[config.model] ?? config.pricePerHour.default;
+  return Math.round((seconds / 3600) * pricePerHour * 1e6) / 1e6;
+}
+
+/**
+ * Replay transcription - serves a recorded transcript, or records one
+ * Keyed on the audio bytes plus the options that change the transcript.
+ */
+async function replayTranscription(audioData, filename, options = {}) {
+  const audio = audioData instanceof Blob
+    ? Buffer.from(await audioData.arrayBuffer())
+    : Buffer.from(audioData);
+  const request = { language: options.language || null, prompt: options.prompt || null };
+
+  const cassette = await withCassette('transcription', cassetteKey(audio, request), async () => {
+    const upstreamName = (process.env.TRANSCRIPTION_REPLAY_UPSTREAM || 'groq').toLowerCase();
+    if (upstreamName === 'replay') {
+      throw new Error('TRANSCRIPTION_REPLAY_UPSTREAM must be a real provider (groq or openai)');
+    }
+
+    const upstream = getTranscriptionConfig(upstreamName);
+    const response = await whisperTranscription(upstream, audio, filename, options);
+
+    return { provider: upstream.name, model: upstream.model, request: { filename, ...request }, response };
+  });
+
+  return cassette.response;
+}
+
 /**
  * Get MIME type from filename
  */
@@ -139,7 +209,7 @@ export function getTranscriptionInfo() {
     return {
       provider: config.name,
       model: config.model,
-      hasKey: true,
+      hasKey: !!config.apiKey,
     };
   } catch (e) {
     return { error: e.message };
@@ -0,0 +1,174 @@
+/**
+ * Usage Tracker
+ *
+ * Records what every AI call cost - tokens, audio seconds, latency and the
+ * estimated dollar cost - in the ai_usage collection, and rolls it up into
+ * per-day, per-endpoint and per-model reports for a workspace.
+ *
+ * Costs are estimates from the price tables in ai-provider.js
+ * (PROVIDER_PRICING) and transcription.js (pricePerHour).
+ */
+
+import { aiUsage } from './pocketbase.js';
+import { noteUsage } from './ai-budget.js';
+
+/**
+ * Workspace relation value - usage outside a real workspace is stored unassigned
+ */
+function workspaceField(workspaceId) {
+  return workspaceId && workspaceId !== 'default' ? workspaceId : '';
+}
+
+/**
+ * Record a completion from its metadata (completionWithMetadata / parseLob meta)
+ *
+ * @param {object} context - { workspace, endpoint, sender }
+ * @param {object} meta - { provider, model, taskType, latencyMs, usage }
+ */
+export async function recordUsage({ workspace, endpoint, sender = null }, meta) {
+  // Cache hits didn't call a provider
+  if (!meta?.provider || meta.cache?.hit) return null;
+
+  noteUsage({ workspace, sender }, {
+    tokens: (meta.usage?.inputTokens ?? 0) + (meta.usage?.outputTokens ?? 0),
+    cost: meta.usage?.cost ?? 0,
+  });
+
+  return aiUsage.create({
+    workspace: workspaceField(workspace),
+    endpoint,
+    kind: 'completion',
+    sender,
+    provider: meta.provider,
+    model: meta.model,
+    task_type: meta.taskType || '',
+    input_tokens: meta.usage?.inputTokens ?? 0,
+    output_tokens: meta.usage?.outputTokens ?? 0,
+    audio_seconds: 0,
+    latency_ms: meta.latencyMs ?? 0,
+    cost: meta.usage?.cost ?? 0,
+  });
+}
+
+/**
+ * Record a call's usage, along with any image captioning done for it
+ * (meta.images.captionCalls), for routes that must not fail over accounting
+ * Failures are only logged.
+ *
+ * @param {object} context - { workspace, endpoint, sender }
+ * @param {object} meta - As for recordUsage
+ */
+export function trackUsage(context, meta) {
+  const calls = [meta, ...(meta?.images?.captionCalls || [])];
+  return Promise.all(calls.map(call => recordUsage(context, call)
+    .catch(err => console.error('Failed to record usage:', err))));
+}
+
+/**
+ * Record a transcription (transcribeAudio result)
+ *
+ * @param {object} context - { workspace, endpoint, sender }
+ * @param {object} transcript - { provider, model, latencyMs, usage: { audioSeconds, cost } }
+ */
+export async function recordTranscriptionUsage({ workspace, endpoint, sender = null }, transcript) {
+  if (!transcript?.provider) return null;
+
+  noteUsage({ workspace, sender }, { cost: transcript.usage?.cost ?? 0 });
+
+  return aiUsage.create({
+    workspace: workspaceField(workspace),
+    endpoint,
+    kind: 'transcription',
+    sender,
+    provider: transcript.provider,
+    model: transcript.model,
+    task_type: '',
+    input_tokens: 0,
+    output_tokens: 0,
+    audio_seconds: transcript.usage?.audioSeconds ?? 0,
+    latency_ms: transcript.latencyMs ?? 0,
+    cost: transcript.usage?.cost ?? 0,
+  });
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, audioSeconds: 0, cost: 0, latencyMs: 0 };
+}
+
+function addRecord(totals, record) {
+  totals.calls++;
+  totals.inputTokens += record.input_tokens || 0;
+  totals.outputTokens += record.output_tokens || 0;
+  totals.audioSeconds += record.audio_seconds || 0;
+  totals.cost += record.cost || 0;
+  totals.latencyMs += record.latency_ms || 0;
+}
+
+/**
+ * Round cost and turn summed latency into an average
+ */
+function finishTotals(totals) {
+  return {
+    calls: totals.calls,
+    inputTokens: totals.inputTokens,
+    outputTokens: totals.outputTokens,
+    audioSeconds: Math.round(totals.audioSeconds * 10) / 10,
+    cost: Math.round(totals.cost * 1e6) / 1e6,
+    avgLatencyMs: totals.calls ? Math.round(totals.latencyMs / totals.calls) : null,
+  };
+}
+
+/**
+ * Usage report for a workspace
+ *
+ * @param {string} workspaceId - Workspace ID ('default' = usage without a workspace)
+ * @param {object} options
+ * @param {Date} options.from - Start of the range (inclusive)
+ * @param {Date} options.to - End of the range (exclusive)
+ * @returns {Promise<object>} { workspace, from, to, totals, daily, byEndpoint, byModel }
+ */
+export async function getUsageReport(workspaceId, { from, to }) {
+  // PocketBase stores dates as "YYYY-MM-DD HH:MM:SS.sssZ"
+  const pbDate = date => date.toISOString().replace('T', ' ');
+  const records = await aiUsage.listRange(workspaceField(workspaceId), pbDate(from), pbDate(to));
+
+  const totals = emptyTotals();
+  const daily = new Map();
+  const byEndpoint = new Map();
+  const byModel = new Map();
+
+  const bucket = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyTotals());
+    return map.get(key);
+  };
+
+  for (const record of records) {
+    addRecord(totals, record);
+    addRecord(bucket(daily, record.created.slice(0, 10)), record);
+    addRecord(bucket(byEndpoint, record.endpoint), record);
+    addRecord(bucket(byModel, `${record.provider}/${record.model}`), record);
+  }
+
+  return {
+    workspace: workspaceId,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals: finishTotals(totals),
+    daily: [...daily].map(([date, dayTotals]) => ({ date, ...finishTotals(dayTotals) })),
+    byEndpoint: Object.fromEntries(
+      [...byEndpoint].map(([endpoint, endpointTotals]) => [endpoint, finishTotals(endpointTotals)])
+    ),
+    byModel: Object.fromEntries(
+      [...byModel].map(([model, modelTotals]) => [model, finishTotals(modelTotals)])
+    ),
+    currency: 'USD',
+    note: 'Costs are estimates from list prices',
+  };
+}
+
+export default {
+  recordUsage,
+  trackUsage,
+  recordTranscriptionUsage,
+  getUsageReport,
+};
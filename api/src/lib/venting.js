@@ -0,0 +1,245 @@
+/**
+ * Venting
+ *
+ * Level 9 - "Acknowledge, don't action". A venting chunk doesn't become a
+ * task, but it isn't thrown away either. Each one is stored as a `vents`
+ * record linked to its lob session:
+ *
+ * 1. VENTING_PROMPT writes an acknowledgment for the sender and pulls out
+ *    concrete context (what broke, since when, who is affected)
+ * 2. That context is added to the threads of related tasks - the lob's new
+ *    tasks and the workspace's open ones - so the WordPress rant ends up on
+ *    the contact form task
+ * 3. A task hiding in the venting is kept as hidden_task, and the sender
+ *    can promote it into a real task later (promoteVent)
+ *
+ * Venting about the same system again and again is a signal in itself -
+ * see ventingSignals.
+ *
+ * Configure via environment:
+ * - VENTING_SIGNAL_MIN: vents about one system before it's a signal (default 3)
+ * - VENTING_SIGNAL_DAYS: how far back vents are counted (default 30)
+ */
+
+import { jsonCompletionWithMetadata } from './ai-provider.js';
+import { validateVentingOutput } from './lob-schema.js';
+import { resolvePrompt } from './prompt-registry.js';
+import { tasks, threads, vents } from './pocketbase.js';
+import { scoreDuplicate } from './duplicate-detector.js';
+import { languageName, resolveOutputLanguage } from './language.js';
+import { urgencyFromScore } from './tone-analyzer.js';
+
+export const VENTING_OPTIONS = {
+  temperature: 0.5,
+  maxTokens: 800,
+  taskType: 'creative', // Mostly writing the acknowledgment
+};
+
+// Related tasks shown to the model per vent
+const MAX_CANDIDATES = 5;
+
+// Recent summaries listed per signal
+const MAX_SAMPLES = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Tasks a vent could be about, best match first
+ * Scored like duplicates (summary overlap, system, entities), but any overlap counts.
+ *
+ * @param {object} vent - Parsed venting task
+ * @param {Array} candidates - tasks records
+ */
+export function relatedTaskCandidates(vent, candidates) {
+  return candidates
+    .map(task => ({ task, score: scoreDuplicate(vent, task).score }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES)
+    .map(({ task }) => task);
+}
+
+/**
+ * Acknowledge a vent and extract the context worth keeping
+ *
+ * @param {object} vent - Parsed venting task (rawChunk, summary, system)
+ * @param {object} options
+ * @param {Array} options.candidates - Tasks the context may belong to (see relatedTaskCandidates)
+ * @param {string} options.workspace - Workspace ID, for prompt selection
+ * @param {object} options.routes - Workspace AI routing overrides (workspaces.ai_routes)
+ * @param {string} options.outputLanguage - Language to write in (as for parseLob)
+ * @returns {Promise<{acknowledgment, context, relatedTaskIds, hiddenTask, meta}>}
+ *   relatedTaskIds only contains ids from candidates
+ */
+export async function acknowledgeVent(vent, {
+  candidates = [],
+  workspace = null,
+  routes = null,
+  outputLanguage = null,
+} = {}) {
+  const text = vent.rawChunk || vent.summary;
+  const { content, ...promptInfo } = await resolvePrompt('venting', { workspace, unit: text });
+  const language = resolveOutputLanguage(outputLanguage);
+
+  const related = candidates.map(task => ({
+    id: task.id,
+    summary: task.summary,
+    system: task.system_name || null,
+  }));
+
+  const { data, metadata } = await jsonCompletionWithMetadata([
+    {
+      role: 'system',
+      content: `${content}\n\nWrite acknowledgment, context and hiddenTask in ${languageName(language)} (${language}).`,
+    },
+    {
+      role: 'user',
+      content: JSON.stringify({ venting: text, system: vent.system || null, relatedTasks: related }, null, 2),
+    },
+  ], { ...VENTING_OPTIONS, routes, validate: validateVentingOutput });
+
+  const known = new Set(related.map(task => task.id));
+  const hiddenTask = data.hiddenTask?.summary
+    ? { summary: String(data.hiddenTask.summary), system: data.hiddenTask.system || vent.system || null }
+    : null;
+
+  return {
+    acknowledgment: data.acknowledgment,
+    context: data.context.map(String).filter(Boolean),
+    relatedTaskIds: [...new Set(data.relatedTaskIds.map(String))].filter(id => known.has(id)),
+    hiddenTask,
+    meta: { ...metadata, prompt: promptInfo },
+  };
+}
+
+/**
+ * Store a vent and add its context to the related tasks' threads
+ *
+ * Without a model result (budget spent, call failed) the parser's
+ * ventingResponse is the acknowledgment and nothing is attached.
+ *
+ * @param {object} vent - Parsed venting task
+ * @param {object|null} result - acknowledgeVent() result
+ * @param {object} links - { workspace, sender, lobSession } IDs
+ * @returns {Promise<object>} The vents record
+ */
+export async function storeVent(vent, result, { workspace, sender, lobSession }) {
+  const record = await vents.create({
+    workspace,
+    sender,
+    lob_session: lobSession,
+    position_in_lob: vent.position,
+    raw_input: vent.rawChunk || vent.summary,
+    summary: vent.summary,
+    system_name: vent.system || '',
+    language: vent.language || '',
+    acknowledgment: result?.acknowledgment || vent.ventingResponse || '',
+    context: result?.context || [],
+    related_tasks: result?.relatedTaskIds || [],
+    hidden_task: result?.hiddenTask || null,
+    urgency_score: vent.urgencyScore || 0,
+    tone: vent.tone || null,
+  });
+
+  if (result?.context.length) {
+    const note = `Context from venting: ${result.context.join('; ')}`;
+    for (const taskId of result.relatedTaskIds) {
+      await threads.addSystemEvent(taskId, 'system', note);
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Turn a vent into a real task
+ * The task starts from the hidden task the model found, if any.
+ *
+ * @param {object} vent - vents record
+ * @param {object} overrides - { summary, system_name, urgency } to use instead
+ * @param {object} options
+ * @param {object} options.thresholds - Workspace urgency thresholds (see tone-analyzer.js)
+ * @returns {Promise<{task: object, vent: object}>}
+ */
+export async function promoteVent(vent, overrides = {}, { thresholds } = {}) {
+  const hidden = vent.hidden_task || {};
+  const score = vent.urgency_score || 0;
+
+  const task = await tasks.create({
+    workspace: vent.workspace,
+    sender: vent.sender,
+    raw_input: vent.raw_input,
+    summary: overrides.summary || hidden.summary || vent.summary,
+    language: vent.language || '',
+    classification: 'task',
+    urgency: overrides.urgency || urgencyFromScore(score, {}, thresholds),
+    urgency_score: score,
+    tone: vent.tone || null,
+    system_name: overrides.system_name || hidden.system || vent.system_name || '',
+    lob_session: vent.lob_session || null,
+    position_in_lob: vent.position_in_lob,
+    status: 'draft',
+  });
+
+  await threads.addSystemEvent(task.id, 'system', `Promoted from venting: "${vent.raw_input}"`);
+  const updated = await vents.update(vent.id, { status: 'promoted', promoted_task: task.id });
+
+  return { task, vent: updated };
+}
+
+/**
+ * Systems a workspace keeps venting about
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} options
+ * @param {number} options.days - How far back to count (default VENTING_SIGNAL_DAYS)
+ * @param {number} options.minCount - Vents before a system is a signal (default VENTING_SIGNAL_MIN)
+ * @returns {Promise<Array<{system, count, senders, promoted, lastVentedAt, recent}>>}
+ *   Most vented first; recent holds the latest summaries
+ */
+export async function ventingSignals(workspaceId, {
+  days = envNumber('VENTING_SIGNAL_DAYS', 30),
+  minCount = envNumber('VENTING_SIGNAL_MIN', 3),
+} = {}) {
+  const since = new Date(Date.now() - days * DAY_MS).toISOString().replace('T', ' ');
+  const records = await vents.listAll(
+    `workspace = "${workspaceId}" && created >= "${since}" && system_name != ""`
+  );
+
+  const bySystem = new Map();
+  for (const record of records) {
+    const key = record.system_name.trim().toLowerCase();
+    if (!bySystem.has(key)) bySystem.set(key, []);
+    bySystem.get(key).push(record);
+  }
+
+  return [...bySystem.values()]
+    .filter(group => group.length >= minCount)
+    .map(group => {
+      // Records are oldest first
+      const latest = group[group.length - 1];
+      return {
+        system: latest.system_name,
+        count: group.length,
+        senders: new Set(group.map(record => record.sender)).size,
+        promoted: group.filter(record => record.status === 'promoted').length,
+        lastVentedAt: latest.created,
+        recent: group.slice(-MAX_SAMPLES).reverse().map(record => record.summary),
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+}
+
+export default {
+  VENTING_OPTIONS,
+  relatedTaskCandidates,
+  acknowledgeVent,
+  storeVent,
+  promoteVent,
+  ventingSignals,
+};
@@ -1,5 +1,5 @@
 import { Hono } from 'hono';
-import { companyBrain, resolutions } from '../lib/pocketbase.js';
+import { companyBrain, resolutions, parseExamples } from '../lib/pocketbase.js';
 
 export const brainRouter = new Hono();
 
@@ -264,6 +264,79 @@ brainRouter.post('/:workspace/people', async (c) => {
   }
 });
 
+// ============================================
+// LEARNED EXAMPLES (Corrections to parsed lobs)
+// ============================================
+
+/**
+ * GET /api/brain/:workspace/examples
+ *
+ * Parse corrections learned from /api/tasks/from-lob (pinned first, then newest).
+ * The most relevant few are shown to the parser on new lobs.
+ */
+brainRouter.get('/:workspace/examples', async (c) => {
+  try {
+    const workspace = c.req.param('workspace');
+    const result = await parseExamples.list(workspace, { perPage: 200 });
+
+    return c.json({
+      examples: result.items.map(example => ({
+        id: example.id,
+        input: example.input,
+        before: example.before,
+        after: example.after,
+        changes: example.changes,
+        pinned: example.pinned,
+        lobSession: example.lob_session || null,
+        created: example.created,
+      })),
+      total: result.totalItems,
+    });
+  } catch (error) {
+    console.error('List examples error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/brain/examples/:id/pin
+ *
+ * Pin an example so it's always shown to the parser (or unpin it).
+ *
+ * Body:
+ * {
+ *   pinned: boolean (default true)
+ * }
+ */
+brainRouter.post('/examples/:id/pin', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const body = await c.req.json().catch(() => ({}));
+
+    const example = await parseExamples.update(id, { pinned: body.pinned !== false });
+    return c.json(example);
+  } catch (error) {
+    console.error('Pin example error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * DELETE /api/brain/examples/:id
+ *
+ * Forget a learned example.
+ */
+brainRouter.delete('/examples/:id', async (c) => {
+  try {
+    const id = c.req.param('id');
+    await parseExamples.delete(id);
+    return c.json({ success: true });
+  } catch (error) {
+    console.error('Delete example error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
 // ============================================
 // RESOLUTIONS (What worked before)
 // ============================================
@@ -1,12 +1,37 @@
 import { Hono } from 'hono';
-import { jsonCompletion, getProviderInfo, listProviders } from '../lib/ai-provider.js';
+import { streamSSE } from 'hono/streaming';
+import {
+  getProviderInfo,
+  listProviders,
+  listModels,
+  JsonValidationError,
+  ProviderCapabilityError,
+} from '../lib/ai-provider.js';
 import { transcribeAudio, getTranscriptionInfo } from '../lib/transcription.js';
-import { LOB_PARSER_PROMPT, CONTEXT_SYNTHESIS_PROMPT } from '../lib/prompts.js';
 import { getEntityResolver } from '../lib/entity-resolver.js';
 import { getMemoryService } from '../lib/memory-service.js';
+import { workspaces, lobSessions } from '../lib/pocketbase.js';
+import { parseLob, streamParseLob } from '../lib/lob-parser.js';
+import { runEval } from '../lib/lob-eval.js';
+import { synthesizeContext } from '../lib/context-synthesis.js';
+import { listOpenTasks, findDuplicates } from '../lib/duplicate-detector.js';
+import { trackUsage, recordTranscriptionUsage } from '../lib/usage-tracker.js';
+import { aiBudgetGuard } from '../lib/ai-budget.js';
+import { addAudioSpans } from '../lib/span-aligner.js';
+import { loadConversation, detectFollowUps } from '../lib/follow-up.js';
+import { readImageAttachments, ImageAttachmentError, FormFieldError } from '../lib/lob-images.js';
 
 export const lobCatcher = new Hono();
 
+// Each variant re-runs every fixture through the model
+const MAX_EVAL_VARIANTS = 4;
+
+// Per-workspace / per-sender budgets: 429 + Retry-After when exhausted,
+// X-AI-Budget-Warning header when close (see lib/ai-budget.js)
+for (const path of ['/parse', '/parse/stream', '/parse-enriched', '/:lobId/enrich', '/transcribe', '/eval']) {
+  lobCatcher.use(path, aiBudgetGuard());
+}
+
 /**
  * POST /api/lob/parse
  *
@@ -17,9 +42,24 @@ export const lobCatcher = new Hono();
  * {
  *   "input": "First we need to fix the notification problem...",
  *   "sender": "jeff",
- *   "companyContext": { ... } // Optional company brain context
+ *   "workspace": "workspace_id", // Optional - applies the workspace's AI routing
+ *   "timezone": "America/Denver", // Optional - sender's timezone (default: workspace's)
+ *   "language": "es", // Optional - spoken language, if known
+ *   "outputLanguage": "en", // Optional - recipient's language for summaries (default: workspace's)
+ *   "companyContext": { ... }, // Optional company brain context
+ *   "cache": false // Optional - skip the parse cache and force a fresh parse
  * }
  *
+ * Screenshots and photos: send multipart/form-data with the same fields
+ * (companyContext as a JSON string) plus up to LOB_IMAGE_MAX_COUNT `images`
+ * files (png, jpeg, webp, gif). Input can then be blank. Images get ids in
+ * the order sent ("image_1", ...) and each task lists its own in "images"
+ * - send the files with those names to POST /api/tasks/from-lob to store
+ * them on the tasks. meta.images describes them
+ * ({ "mode": "inline" | "caption", "attachments": [{ id, name, mimeType, size, caption? }] }):
+ * parsers that can't read images get captions from the 'vision' route
+ * instead. With no provider able to read images: 422, see lib/lob-images.js.
+ *
  * Response:
  * {
  *   "lobId": "abc123",
@@ -27,29 +67,80 @@ export const lobCatcher = new Hono();
  *   "parsedTasks": [
  *     {
  *       "position": 1,
- *       "summary": "Fix notification problem",
+ *       "summary": "Fix notification problem", // In outputLanguage
+ *       "language": "en", // Language of the rawChunk; "original" holds untranslated fields
+ *       "span": [0, 43], // rawChunk's [start, end) offsets in rawInput; entities get one too
+ *       "spanMatch": "exact", // "fuzzy" if the model paraphrased, "ungrounded" (span null) if not found
  *       "classification": "task",
  *       "system": "WordPress",
- *       "urgency": "normal",
+ *       "urgency": "normal", // From urgencyScore and the workspace's urgency_thresholds
+ *       "urgencyScore": 0.15,
+ *       "tone": {
+ *         "frustration": 0.3, "timePressure": 0, "customerImpact": 0,
+ *         "signals": [{ "dimension": "frustration", "signal": "repeated punctuation (\"!!\")", "weight": 0.3 }],
+ *         "parserUrgency": "normal"
+ *       },
+ *       "deadline": null, // ISO timestamp - the phrase is kept in deadlineText
  *       "missingInfo": ["What exactly is broken?"],
+ *       "images": [], // Ids of attached images about this task
  *       "suggestedRoute": null,
  *       "selfServiceSteps": null
  *     },
  *     ...
- *   ]
+ *   ],
+ *   "meta": {
+ *     "provider": "mistral",
+ *     "model": "mistral-small-latest",
+ *     "fallbacks": [],
+ *     "usage": { "inputTokens": 1850, "outputTokens": 420, "cost": 0.000622 }, // null on a cache hit
+ *     "prompt": { "name": "lob_parser", "version": "v1", "source": "builtin", "experiment": null },
+ *     "language": { "input": "es", "output": "en", "mixed": true, "languages": ["es", "en"] },
+ *     "cache": { "hit": false, "key": "9f2c..." }, // hit: true adds cachedAt
+ *     "segments": 1
+ *   }
  * }
+ *
+ * Long input (over PARSE_SEGMENT_CHARS - meeting transcripts, long voice
+ * memos) is parsed in overlapping segments and merged: meta.segments says
+ * how many, usage is their total, and cache.hits counts the segments
+ * served from the parse cache.
+ *
+ * Input that is only noise - empty, "ok cool thanks", a greeting, a
+ * transcription artifact - isn't sent to the model: parsedTasks is empty,
+ * provider and usage are null, and meta.filtered says why
+ * ({ "rule": "acknowledgment", "reason": "Just an acknowledgment - nothing to do" }).
+ * Rules can be extended per workspace (workspaces.noise_filter, see lib/noise-filter.js).
+ *
+ * Send `Accept: text/event-stream` to receive the same result as
+ * Server-Sent Events instead (see POST /api/lob/parse/stream).
+ *
+ * Over the workspace's or sender's AI budget (workspaces.ai_limits):
+ * 429 with a Retry-After header and
+ * { "error": "AI budget exceeded", "scope": "sender", "limit": "tokensPerDay",
+ *   "retryAfter": 3600, "remaining": { "workspace": {...}, "sender": {...} } }
  */
 lobCatcher.post('/parse', async (c) => {
   try {
-    const body = await c.req.json();
-    const { input, sender, companyContext } = body;
+    const { body, images } = await readParseRequest(c);
+    const { sender } = body;
+    // A screenshot can be the whole lob
+    const input = body.input ?? (images.length ? '' : null);
 
-    if (!input || typeof input !== 'string') {
+    // Blank input is allowed - the noise filter answers it without the model
+    if (typeof input !== 'string') {
       return c.json({ error: 'Input is required' }, 400);
     }
 
+    const workspaceRecord = await workspaces.find(body.workspace);
+    const parseOptions = buildParseOptions(body, workspaceRecord, images);
+
+    if ((c.req.header('Accept') || '').includes('text/event-stream')) {
+      return streamParseResponse(c, { input, sender, workspaceId: workspaceRecord?.id, parseOptions });
+    }
+
     // Stage 1-4: Lob Detection, Task Separation, Classification, Entity Extraction
-    const { tasks, entities } = await parseLob(input, companyContext);
+    const { tasks, entities, meta } = await parseLob(input, parseOptions);
+    await trackUsage({ workspace: workspaceRecord?.id, endpoint: c.req.path, sender }, meta);
 
     // Generate a lob session ID
     const lobId = generateLobId();
@@ -60,49 +151,187 @@ lobCatcher.post('/parse', async (c) => {
       sender: sender || 'unknown',
       parsedTasks: tasks,
       entities,
+      meta,
       timestamp: new Date().toISOString(),
     });
 
   } catch (error) {
     console.error('Lob parsing error:', error);
-    return c.json({
-      error: 'Failed to parse lob',
-      details: error.message
-    }, 500);
+    return parseFailure(c, 'Failed to parse lob', error);
   }
 });
 
 /**
- * Parse a raw input into discrete tasks using the AI pipeline
- * Returns both tasks and extracted entities
+ * POST /api/lob/parse/stream
+ *
+ * Streaming version of /api/lob/parse. Emits each task and entity as soon
+ * as the model finishes producing it, so the app can render results while
+ * a long voice lob is still being parsed.
+ *
+ * Request body: same as /api/lob/parse (JSON, or multipart with images)
+ *
+ * Response: text/event-stream
+ *   event: entity  data: { "mention": "KUTV", "type": "company", ... }
+ *   event: task    data: { "position": 1, "summary": "Fix notification problem", ... }
+ *   event: done    data: { "lobId": "lob_abc123", "parsedTasks": [...], "entities": [...], ... }
+ *   event: error   data: { "error": "Failed to parse lob", "details": "..." }
+ *
+ * Streamed items are coerced individually; since they have already been
+ * sent, the stream can't be repaired - schema problems are listed in
+ * `validationErrors` on the done event instead.
+ *
+ * Long lobs stream segment by segment: a task event with a position
+ * already sent replaces that task (a later segment completed it).
  */
-async function parseLob(input, companyContext = null) {
-  // Build the system prompt with company context if available
-  let systemPrompt = LOB_PARSER_PROMPT;
+lobCatcher.post('/parse/stream', async (c) => {
+  try {
+    const { body, images } = await readParseRequest(c);
+    const { sender } = body;
+    // A screenshot can be the whole lob
+    const input = body.input ?? (images.length ? '' : null);
+
+    // Blank input is allowed - the noise filter answers it without the model
+    if (typeof input !== 'string') {
+      return c.json({ error: 'Input is required' }, 400);
+    }
+
+    const workspaceRecord = await workspaces.find(body.workspace);
+    const parseOptions = buildParseOptions(body, workspaceRecord, images);
 
-  if (companyContext) {
-    systemPrompt += `\n\n## Company Context\n${JSON.stringify(companyContext, null, 2)}`;
+    return streamParseResponse(c, { input, sender, workspaceId: workspaceRecord?.id, parseOptions });
+  } catch (error) {
+    console.error('Lob streaming error:', error);
+    return parseFailure(c, 'Failed to parse lob', error);
   }
+});
 
-  // Use the provider-agnostic completion
-  const parsed = await jsonCompletion(
-    [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: input }
-    ],
-    {
-      temperature: 0.3, // Lower temperature for more consistent parsing
-      maxTokens: 3000, // Increased for entity extraction
-      taskType: 'logic', // Parsing is a logic task - ideal for DeepSeek/Groq
-    }
-  );
+/**
+ * parseLob options for a /parse or /parse/stream request: the request's
+ * settings, falling back to the workspace's
+ */
+function buildParseOptions(body, workspaceRecord, images) {
+  const { sender, companyContext, timezone, cache, language, outputLanguage } = body;
 
   return {
-    tasks: parsed.tasks || [],
-    entities: parsed.entities || [],
+    companyContext,
+    routes: workspaceRecord?.ai_routes,
+    timezone: timezone || workspaceRecord?.timezone,
+    workspace: workspaceRecord?.id,
+    sender,
+    cache: cache !== false,
+    inputLanguage: language,
+    outputLanguage: outputLanguage || workspaceRecord?.language,
+    urgencyThresholds: workspaceRecord?.urgency_thresholds,
+    noiseFilter: workspaceRecord?.noise_filter,
+    images,
   };
 }
 
+/**
+ * Stream a lob parse back to the client as Server-Sent Events
+ */
+function streamParseResponse(c, { input, sender, workspaceId, parseOptions }) {
+  return streamSSE(c, async (stream) => {
+    try {
+      for await (const item of streamParseLob(input, parseOptions)) {
+        if (item.type !== 'done') {
+          await stream.writeSSE({ event: item.type, data: JSON.stringify(item.value) });
+          continue;
+        }
+
+        await trackUsage({ workspace: workspaceId, endpoint: c.req.path, sender }, item.value.meta);
+        await stream.writeSSE({
+          event: 'done',
+          data: JSON.stringify({
+            lobId: generateLobId(),
+            rawInput: input,
+            sender: sender || 'unknown',
+            parsedTasks: item.value.tasks,
+            entities: item.value.entities,
+            meta: item.value.meta,
+            ...(item.value.validationErrors.length > 0 && {
+              validationErrors: item.value.validationErrors,
+            }),
+            timestamp: new Date().toISOString(),
+          }),
+        });
+      }
+    } catch (error) {
+      console.error('Lob streaming error:', error);
+      await stream.writeSSE({
+        event: 'error',
+        data: JSON.stringify({ error: 'Failed to parse lob', details: error.message }),
+      });
+    }
+  });
+}
+
+/**
+ * Read a parse request: a JSON body, or multipart/form-data with the same
+ * fields plus `images` files
+ * @returns {Promise<{body: object, images: Array}>} images as read by readImageAttachments
+ */
+async function readParseRequest(c) {
+  if (!(c.req.header('Content-Type') || '').includes('multipart/form-data')) {
+    return { body: await c.req.json(), images: [] };
+  }
+
+  const formData = await c.req.formData();
+  const body = {};
+  for (const [name, value] of formData) {
+    if (typeof value === 'string') body[name] = formValue(name, value);
+  }
+
+  return { body, images: await readImageAttachments(formData.getAll('images')) };
+}
+
+/**
+ * A multipart field as the JSON body would have it
+ */
+function formValue(name, value) {
+  if (name === 'companyContext') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new FormFieldError(`companyContext is not valid JSON: ${error.message}`);
+    }
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+/**
+ * Build the error response for a failed parse
+ * Bad attachments and form fields are 400. No provider able to read the lob's images is
+ * 422, as are schema failures (repair gave up, validation errors listed).
+ */
+function parseFailure(c, message, error) {
+  if (error instanceof ImageAttachmentError || error instanceof FormFieldError) {
+    return c.json({ error: error.message }, 400);
+  }
+
+  if (error instanceof ProviderCapabilityError) {
+    return c.json({
+      error: message,
+      details: error.message,
+      capability: error.capability,
+    }, 422);
+  }
+
+  if (error instanceof JsonValidationError) {
+    return c.json({
+      error: message,
+      details: error.message,
+      validationErrors: error.errors,
+    }, 422);
+  }
+
+  return c.json({
+    error: message,
+    details: error.message
+  }, 500);
+}
+
 /**
  * POST /api/lob/parse-enriched
  *
@@ -113,14 +342,35 @@ async function parseLob(input, companyContext = null) {
  * {
  *   "input": "Tell Sarah to fix WordPress by Monday...",
  *   "sender": "jeff",
- *   "workspace": "workspace_id"
+ *   "workspace": "workspace_id",
+ *   "timezone": "America/Denver", // Optional - sender's timezone for deadlines
+ *   "language": "es", // Optional - spoken language, if known
+ *   "outputLanguage": "en", // Optional - recipient's language (default: workspace's)
+ *   "enrich": true, // Optional - also run context synthesis (see POST /api/lob/:lobId/enrich)
+ *   "followUps": false // Optional - skip matching against the sender's open tasks
  * }
  *
+ * Images can be attached as for /api/lob/parse (multipart with `images`
+ * files); follow-ups carry their task's image ids too.
+ *
+ * With a workspace and sender, the lob is read as part of the sender's
+ * conversation: their recent lobs and open tasks go to FOLLOW_UP_PROMPT,
+ * and tasks that are really news about an open task come back as
+ * `updates` instead of in parsedTasks (see lib/follow-up.js). Send them
+ * to POST /api/tasks/from-lob as `updates` to apply them.
+ *
  * Response:
  * {
  *   "lobId": "lob_abc123",
  *   "rawInput": "...",
- *   "parsedTasks": [...],
+ *   "parsedTasks": [...], // Genuinely new tasks
+ *   "updates": [{
+ *     "position": 1, "taskId": "abc", "summary": "Fix WordPress contact form",
+ *     "rawChunk": "also about that WordPress thing, it's the checkout page now",
+ *     "newInfo": "The checkout page is broken now too",
+ *     "deadline": "2026-10-23T23:59:59.000Z", "deadlineText": "by Friday", "previousDeadline": null,
+ *     "answeredMissingInfo": [{ "question": "Which page?", "answer": "The checkout page" }]
+ *   }],
  *   "entities": {
  *     "resolved": [...],
  *     "ambiguous": [...]
@@ -128,61 +378,119 @@ async function parseLob(input, companyContext = null) {
  *   "context": {
  *     "resolutions": [...],
  *     "routing": [...]
- *   }
+ *   },
+ *   "duplicates": [{ "position": 1, "matches": [{ "taskId", "summary", "similarity": 0.78, "reasons": [...] }] }],
+ *   "enrichment": { "enrichedTasks": [...], "ambiguities": [...], "meta": {...} } // with enrich: true
  * }
  */
 lobCatcher.post('/parse-enriched', async (c) => {
   try {
-    const body = await c.req.json();
-    const { input, sender, workspace } = body;
+    const { body, images } = await readParseRequest(c);
+    const { sender, workspace, timezone, enrich, followUps, language, outputLanguage } = body;
+    const input = body.input ?? (images.length ? '' : null);
 
-    if (!input || typeof input !== 'string') {
+    // Blank input is allowed - the noise filter answers it without the model
+    if (typeof input !== 'string') {
       return c.json({ error: 'Input is required' }, 400);
     }
 
     const workspaceId = workspace || 'default';
+    const workspaceRecord = await workspaces.find(workspaceId);
+    const senderTimezone = timezone || workspaceRecord?.timezone;
+
+    // Stage 1-4: Parse lob and extract entities (deadlines normalized to dates)
+    const { tasks: parsedTasks, entities, meta } = await parseLob(input, {
+      routes: workspaceRecord?.ai_routes,
+      timezone: senderTimezone,
+      workspace: workspaceRecord?.id,
+      sender,
+      inputLanguage: language,
+      outputLanguage: outputLanguage || workspaceRecord?.language,
+      urgencyThresholds: workspaceRecord?.urgency_thresholds,
+      noiseFilter: workspaceRecord?.noise_filter,
+      images,
+    });
+    await trackUsage({ workspace: workspaceRecord?.id, endpoint: c.req.path, sender }, meta);
+    const lobId = generateLobId();
 
-    // Stage 1-4: Parse lob and extract entities
-    const { tasks, entities } = await parseLob(input);
+    // Tasks that are news about the sender's open tasks become updates
+    let followUp = { updates: [], tasks: parsedTasks, meta: null };
+    if (workspaceRecord && sender && followUps !== false) {
+      followUp = await loadConversation(workspaceRecord.id, sender)
+        .then(conversation => detectFollowUps(parsedTasks, conversation, {
+          workspace: workspaceRecord.id,
+          routes: workspaceRecord.ai_routes,
+          outputLanguage: outputLanguage || workspaceRecord.language,
+          timezone: senderTimezone,
+          unit: lobId,
+        }))
+        .catch(err => {
+          console.error('Failed to detect follow-ups:', err);
+          return followUp;
+        });
+      await trackUsage({ workspace: workspaceRecord.id, endpoint: c.req.path, sender }, followUp.meta);
+    }
+    const { tasks, updates } = followUp;
 
     // Stage 5: Resolve entities against company brain
     const entityResolver = getEntityResolver(workspaceId);
-    const { resolved, ambiguous } = await entityResolver.resolveAll(entities);
+    const { resolved, ambiguous } = await entityResolver.resolveAll(entities, {
+      timezone: senderTimezone,
+    });
 
     // Stage 6: Get context (resolutions, routing patterns)
     const memoryService = getMemoryService(workspaceId);
     const context = await memoryService.getFullContext({ tasks, entities });
 
-    // Generate lob ID
-    const lobId = generateLobId();
+    // Likely duplicates among the workspace's open tasks (attach with from-lob's attachTo)
+    const openTasks = workspaceRecord
+      ? await listOpenTasks(workspaceRecord.id).catch(err => {
+        console.error('Failed to load open tasks for duplicate check:', err);
+        return [];
+      })
+      : [];
+    const duplicates = findDuplicates(tasks, openTasks, entities);
 
-    // Store the lob for future reference
+    // Store the lob for future reference (and POST /api/lob/:lobId/enrich)
     await memoryService.storeLob({
+      lobId,
       rawInput: input,
       sender,
-      parsed: { tasks, entities },
+      parsed: { tasks, entities, updates },
+      prompt: meta.prompt,
     }).catch(err => console.error('Failed to store lob:', err));
 
+    // Stage 7 (opt-in): Synthesize context into enriched tasks
+    let enrichment;
+    if (enrich) {
+      enrichment = await synthesizeContext(
+        { tasks, entities, resolved, ambiguous, context },
+        { routes: workspaceRecord?.ai_routes, workspace: workspaceRecord?.id, unit: lobId }
+      );
+      await trackUsage({ workspace: workspaceRecord?.id, endpoint: c.req.path, sender }, enrichment.meta);
+    }
+
     return c.json({
       lobId,
       rawInput: input,
       sender: sender || 'unknown',
       parsedTasks: tasks,
+      updates,
       entities: {
         extracted: entities,
         resolved,
         ambiguous,
       },
       context,
+      duplicates,
+      enrichment,
+      meta,
       timestamp: new Date().toISOString(),
     });
 
   } catch (error) {
     console.error('Enriched parsing error:', error);
-    return c.json({
-      error: 'Failed to parse and enrich lob',
-      details: error.message
-    }, 500);
+    return parseFailure(c, 'Failed to parse and enrich lob', error);
   }
 });
 
@@ -193,31 +501,127 @@ function generateLobId() {
   return 'lob_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
 }
 
+/**
+ * POST /api/lob/:lobId/enrich
+ *
+ * Context synthesis on its own: the lob's tasks, its resolved/ambiguous
+ * entities and the company brain's context go to CONTEXT_SYNTHESIS_PROMPT,
+ * which suggests assignees and related past resolutions per task.
+ *
+ * Lobs stored by /parse-enriched are looked up by lobId. Lobs that weren't
+ * stored (e.g. from /parse) can be enriched by sending the parse result.
+ *
+ * Request body (all optional for stored lobs):
+ * {
+ *   "workspace": "workspace_id",
+ *   "sender": "jeff",
+ *   "timezone": "America/Denver",
+ *   "parsedTasks": [...], // From /parse, when the lob wasn't stored
+ *   "entities": [...]
+ * }
+ *
+ * Response:
+ * {
+ *   "lobId": "lob_abc123",
+ *   "enrichedTasks": [{
+ *     "position": 1,
+ *     "summary": "Fix WordPress notifications",
+ *     "resolvedEntities": [...],
+ *     "suggestedAssignee": { "id": "brain_id", "name": "Sarah", "reason": "...", "confidence": 0.85 },
+ *     "relatedResolutions": [{ "id": "res_id", "problem": "...", "solution": "...", "successCount": 3, "relevanceScore": 0.8 }],
+ *     "contextNotes": "...",
+ *     "links": [{ "type": "resolution", "id": "res_id", "label": "...", "href": "internal://resolution/res_id" }]
+ *   }],
+ *   "ambiguities": [...],
+ *   "context": { "resolutions": [...], "routing": [...] },
+ *   "meta": { "provider": "...", "usage": {...}, "prompt": { "name": "context_synthesis", "version": "v1", ... } }
+ * }
+ *
+ * Ids the model returns that weren't in the context it was given are
+ * dropped (assignee id set to null, resolutions removed).
+ */
+lobCatcher.post('/:lobId/enrich', async (c) => {
+  try {
+    const lobId = c.req.param('lobId');
+    const body = await c.req.json().catch(() => ({}));
+
+    const session = await lobSessions.findByLobId(lobId);
+    if (!session && !Array.isArray(body.parsedTasks)) {
+      return c.json({ error: `Lob not found: ${lobId}. Send parsedTasks and entities to enrich an unstored lob.` }, 404);
+    }
+
+    // parsed_data was stored as a JSON string before it became a json field
+    const stored = typeof session?.parsed_data === 'string'
+      ? JSON.parse(session.parsed_data)
+      : session?.parsed_data;
+    const tasks = body.parsedTasks || stored?.tasks || [];
+    const entities = body.entities || stored?.entities || [];
+    const sender = body.sender || session?.sender || null;
+
+    const workspaceId = session?.workspace || body.workspace || 'default';
+    const workspaceRecord = await workspaces.find(workspaceId);
+
+    const entityResolver = getEntityResolver(workspaceId);
+    const { resolved, ambiguous } = await entityResolver.resolveAll(entities, {
+      timezone: body.timezone || workspaceRecord?.timezone,
+    });
+
+    const memoryService = getMemoryService(workspaceId);
+    const context = await memoryService.getFullContext({ tasks, entities });
+
+    const { enrichedTasks, ambiguities, meta } = await synthesizeContext(
+      { tasks, entities, resolved, ambiguous, context },
+      { routes: workspaceRecord?.ai_routes, workspace: workspaceRecord?.id, unit: lobId }
+    );
+    await trackUsage({ workspace: workspaceRecord?.id, endpoint: c.req.path, sender }, meta);
+
+    return c.json({
+      lobId,
+      enrichedTasks,
+      ambiguities,
+      context,
+      meta,
+    });
+  } catch (error) {
+    console.error('Context synthesis error:', error);
+    return parseFailure(c, 'Failed to enrich lob', error);
+  }
+});
+
 /**
  * POST /api/lob/transcribe
  *
  * Transcribes audio using Groq Whisper (or OpenAI).
  * This is the "lob" endpoint - user speaks, releases, gets clean transcript.
  *
- * Request: multipart/form-data with 'audio' file
+ * Request: multipart/form-data with 'audio' file, and optionally 'images'
+ * files parsed along with the transcript (see /api/lob/parse)
  * Optional query params:
  *   - language: ISO language code (e.g., 'en')
  *   - parse: if 'true', also parses transcript into tasks
+ *   - outputLanguage: language for parsed summaries (default: workspace's); the
+ *     transcript's detected language is passed to the parser
+ *   - workspace: workspace ID (applies the workspace's AI routing when parsing)
+ *   - timezone: sender's IANA timezone, for resolving deadlines when parsing
+ *   - sender: who sent the lob (for usage accounting)
  *
  * Response (transcribe only):
  * {
  *   "text": "The transcribed text...",
  *   "duration": 5.2,
  *   "language": "en",
+ *   "segments": [{ "start": 0, "end": 2.4, "text": " The transcribed" }, ...],
  *   "provider": "groq",
- *   "model": "whisper-large-v3"
+ *   "model": "whisper-large-v3",
+ *   "latencyMs": 850,
+ *   "usage": { "audioSeconds": 5.2, "cost": 0.00016 }
  * }
  *
  * Response (with parse=true):
  * {
- *   "transcript": { text, duration, language, provider, model },
+ *   "transcript": { text, duration, language, segments, provider, model },
  *   "lobId": "lob_abc123",
- *   "parsedTasks": [ ... ]
+ *   "parsedTasks": [ ... ] // grounded tasks also get "audioSpan": [1.8, 4.35] (seconds)
  * }
  */
 lobCatcher.post('/transcribe', async (c) => {
@@ -228,6 +632,7 @@ lobCatcher.post('/transcribe', async (c) => {
     if (!audioFile || !(audioFile instanceof File)) {
       return c.json({ error: 'Audio file is required. Send as multipart/form-data with field "audio".' }, 400);
     }
+    const images = await readImageAttachments(formData.getAll('images'));
 
     // Get options from query params
     const language = c.req.query('language');
@@ -242,17 +647,39 @@ lobCatcher.post('/transcribe', async (c) => {
       language,
     });
 
-    // If parse=true, also parse the transcript into tasks
-    if (shouldParse && transcript.text) {
-      const { tasks, entities } = await parseLob(transcript.text);
+    const workspaceRecord = await workspaces.find(c.req.query('workspace'));
+    await recordTranscriptionUsage(
+      { workspace: workspaceRecord?.id, endpoint: c.req.path, sender: c.req.query('sender') || null },
+      transcript
+    ).catch(err => console.error('Failed to record usage:', err));
+
+    // If parse=true, also parse the transcript into tasks (silence comes back as noise)
+    if (shouldParse) {
+      const parsed = await parseLob(transcript.text || '', {
+        routes: workspaceRecord?.ai_routes,
+        timezone: c.req.query('timezone') || workspaceRecord?.timezone,
+        workspace: workspaceRecord?.id,
+        sender: c.req.query('sender') || null,
+        inputLanguage: transcript.language || language,
+        outputLanguage: c.req.query('outputLanguage') || workspaceRecord?.language,
+        urgencyThresholds: workspaceRecord?.urgency_thresholds,
+        noiseFilter: workspaceRecord?.noise_filter,
+        images,
+      });
+      await trackUsage(
+        { workspace: workspaceRecord?.id, endpoint: c.req.path, sender: c.req.query('sender') || null },
+        parsed.meta
+      );
+      const { tasks, entities } = addAudioSpans(parsed, transcript);
       const lobId = generateLobId();
 
       return c.json({
         transcript,
         lobId,
-        rawInput: transcript.text,
+        rawInput: transcript.text || '',
         parsedTasks: tasks,
         entities,
+        meta: parsed.meta,
         timestamp: new Date().toISOString(),
       });
     }
@@ -262,10 +689,7 @@ lobCatcher.post('/transcribe', async (c) => {
 
   } catch (error) {
     console.error('Transcription error:', error);
-    return c.json({
-      error: 'Failed to transcribe audio',
-      details: error.message
-    }, 500);
+    return parseFailure(c, 'Failed to transcribe audio', error);
   }
 });
 
@@ -291,7 +715,8 @@ I might need access to the google account too. WordPress sent a 3rd
 party authentication to the gmail account and its probably time sensitive.`;
 
   try {
-    const { tasks, entities } = await parseLob(testInput);
+    const { tasks, entities, meta } = await parseLob(testInput);
+    await trackUsage({ endpoint: c.req.path }, meta);
     const provider = getProviderInfo();
 
     return c.json({
@@ -299,6 +724,7 @@ party authentication to the gmail account and its probably time sensitive.`;
       parsedTasks: tasks,
       entities,
       provider,
+      meta,
       note: 'This is a test endpoint. In production, use POST /api/lob/parse or /api/lob/parse-enriched'
     });
   } catch (error) {
@@ -306,19 +732,82 @@ party authentication to the gmail account and its probably time sensitive.`;
     return c.json({
       error: 'Test failed',
       details: error.message,
+      ...(error instanceof JsonValidationError && { validationErrors: error.errors }),
       provider,
       note: 'Check your AI provider configuration in .env'
     }, 500);
   }
 });
 
+/**
+ * POST /api/lob/eval
+ *
+ * Runs the parser fixtures (test/fixtures) and scores the results.
+ * Every fixture is a real AI call per variant - use sparingly. Runs count
+ * against the default workspace's AI budget, and take at most
+ * MAX_EVAL_VARIANTS variants. The CLI equivalent is `npm run eval`.
+ *
+ * Request body (all optional):
+ * {
+ *   "sets": ["jeff_lobs"],           // Fixture files to include
+ *   "ids": ["jeff_1", "edge_4"],     // Fixtures to include
+ *   "cache": false,                  // Call the model even for previously parsed fixtures
+ *   "variants": [                    // Compare side by side (default: current config)
+ *     { "name": "groq", "provider": "groq" },
+ *     { "name": "candidate", "provider": "groq", "prompt": "You are the Lob Catcher..." }
+ *   ]
+ * }
+ *
+ * Response: the eval report
+ * {
+ *   "generatedAt": "...",
+ *   "fixtures": 25,
+ *   "variants": [{ "name", "summary": { passRate, classifications, latencyMs, usage }, "results": [...] }],
+ *   "comparison": { "passRate": {...}, "fixtures": [...], "disagreements": [...] } // 2+ variants
+ * }
+ */
+lobCatcher.post('/eval', async (c) => {
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    const { sets, ids, variants, cache } = body;
+
+    if (variants !== undefined && (!Array.isArray(variants) || variants.length === 0)) {
+      return c.json({ error: 'variants must be a non-empty array' }, 400);
+    }
+    if (variants?.length > MAX_EVAL_VARIANTS) {
+      return c.json({ error: `At most ${MAX_EVAL_VARIANTS} variants can be compared in one run` }, 400);
+    }
+
+    const report = await runEval({
+      variants: variants || [{}],
+      sets: sets || null,
+      ids: ids || null,
+      cache: cache !== false,
+      onResult: (variant, result) => trackUsage({ endpoint: c.req.path }, result.meta),
+    });
+
+    return c.json(report);
+  } catch (error) {
+    console.error('Eval error:', error);
+    return c.json({
+      error: 'Failed to run eval',
+      details: error.message,
+    }, 500);
+  }
+});
+
 /**
  * GET /api/lob/provider
  *
- * Returns current AI provider configuration (for debugging)
+ * Returns current AI provider configuration (for debugging), including the
+ * effective provider and model for each task type.
+ *
+ * Query params:
+ *   - workspace: include that workspace's routing overrides
  */
-lobCatcher.get('/provider', (c) => {
-  return c.json(getProviderInfo());
+lobCatcher.get('/provider', async (c) => {
+  const workspaceRecord = await workspaces.find(c.req.query('workspace'));
+  return c.json(getProviderInfo({ routes: workspaceRecord?.ai_routes }));
 });
 
 /**
@@ -376,6 +865,12 @@ lobCatcher.get('/providers', (c) => {
         signupUrl: 'https://console.groq.com/keys',
         pricing: 'Free tier: 14,400 requests/day',
       },
+      offline: {
+        provider: 'ollama',
+        reason: 'Runs on your own hardware - no lob ever leaves your network',
+        signupUrl: 'https://ollama.com/download',
+        pricing: 'Free (your hardware)',
+      },
     },
     avoid: [
       {
@@ -399,3 +894,24 @@ lobCatcher.get('/providers', (c) => {
     },
   });
 });
+
+/**
+ * GET /api/lob/providers/:name/models
+ *
+ * Lists the models a provider's server offers. Most useful for local
+ * providers (ollama, local), where it shows what has been pulled/loaded.
+ */
+lobCatcher.get('/providers/:name/models', async (c) => {
+  const name = c.req.param('name').toLowerCase();
+
+  try {
+    const models = await listModels(name);
+    return c.json({ provider: name, models });
+  } catch (error) {
+    console.error('List models error:', error);
+    return c.json({
+      error: 'Failed to list models',
+      details: error.message,
+    }, 502);
+  }
+});
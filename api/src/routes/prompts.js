@@ -0,0 +1,99 @@
+import { Hono } from 'hono';
+import { listPrompts, getPromptVersion, getPromptReport } from '../lib/prompt-registry.js';
+
+export const promptsRouter = new Hono();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * GET /api/prompts
+ *
+ * Registered prompts with their versions, the active version, per-workspace
+ * pins and any running experiment.
+ *
+ * Returns:
+ * {
+ *   prompts: [{
+ *     name: "lob_parser",
+ *     active: "v1",
+ *     pinned: { "workspace_id": "v2" },
+ *     experiment: { name, control: "v1", variant: "v2", split: "percentage", percentage: 50 } | null,
+ *     versions: [{ version: "v1", sources: ["builtin"] }, { version: "v2", sources: ["disk"] }]
+ *   }]
+ * }
+ */
+promptsRouter.get('/', async (c) => {
+  try {
+    return c.json({ prompts: await listPrompts() });
+  } catch (error) {
+    console.error('List prompts error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/prompts/report
+ *
+ * Which lob parser version produced fewer corrections: lob sessions and
+ * their tasks grouped by the prompt version that parsed them, with how
+ * many tasks had parser fields edited afterwards.
+ *
+ * Query params:
+ * - workspace: Limit to one workspace
+ * - experiment: Limit to one experiment's traffic
+ * - from: Start date (YYYY-MM-DD, default: `days` ago)
+ * - to: End date, inclusive (YYYY-MM-DD, default: today)
+ * - days: Range length when `from` is omitted (default 30)
+ *
+ * Returns:
+ * {
+ *   prompt: "lob_parser",
+ *   versions: {
+ *     "v1": { sessions, tasks, correctedTasks, edits, editedFields: { classification: 3 }, correctionRate: 0.12 },
+ *     "v2": { ... }
+ *   }
+ * }
+ */
+promptsRouter.get('/report', async (c) => {
+  try {
+    const { workspace, experiment, from, to, days } = c.req.query();
+
+    // `to` is inclusive, so the range ends at the start of the next day
+    const end = to ? new Date(new Date(to).getTime() + DAY_MS) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - (parseInt(days) || 30) * DAY_MS);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return c.json({ error: 'from and to must be dates (YYYY-MM-DD)' }, 400);
+    }
+
+    const report = await getPromptReport({ workspace, experiment, from: start, to: end });
+    return c.json(report);
+  } catch (error) {
+    console.error('Prompt report error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/prompts/:name/:version
+ *
+ * The text of one prompt version.
+ *
+ * Query params:
+ * - workspace: See the workspace's PocketBase override, if it has one
+ */
+promptsRouter.get('/:name/:version', async (c) => {
+  try {
+    const { name, version } = c.req.param();
+    const prompt = await getPromptVersion(name, version, c.req.query('workspace'));
+
+    if (!prompt) {
+      return c.json({ error: `Unknown prompt version: ${name}@${version}` }, 404);
+    }
+
+    return c.json(prompt);
+  } catch (error) {
+    console.error('Get prompt error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
@@ -1,8 +1,42 @@
 import { Hono } from 'hono';
-import { tasks, threads, lobSessions } from '../lib/pocketbase.js';
+import { tasks, threads, lobSessions, workspaces } from '../lib/pocketbase.js';
+import { normalizeDeadline } from '../lib/date-normalizer.js';
+import { captureCorrection } from '../lib/parse-examples.js';
+import { loadClassificationContext, classifyTask, applyClassification } from '../lib/task-classifier.js';
+import { researchTask } from '../lib/junior-researcher.js';
+import { listOpenTasks, findDuplicates } from '../lib/duplicate-detector.js';
+import { relatedTaskCandidates, acknowledgeVent, storeVent } from '../lib/venting.js';
+import { trackUsage } from '../lib/usage-tracker.js';
+import { aiBudgetGuard, checkBudget, budgetExceededResponse } from '../lib/ai-budget.js';
+import { groundTask } from '../lib/span-aligner.js';
+import { applyFollowUp } from '../lib/follow-up.js';
+import { validateImageFile, ImageAttachmentError, FormFieldError } from '../lib/lob-images.js';
+import { resolveUrgencyThresholds } from '../lib/tone-analyzer.js';
 
 export const tasksRouter = new Hono();
 
+// Reclassifying and research call the model - same budgets as parsing (see lib/ai-budget.js).
+// Single-task routes check in the handler, against the task's workspace.
+tasksRouter.use('/reclassify', aiBudgetGuard());
+
+// Most tasks one bulk reclassify request will touch
+const MAX_BULK_RECLASSIFY = 200;
+
+// Task fields that come from the lob parser - editing one corrects the parse
+const PARSED_FIELDS = ['summary', 'classification', 'urgency', 'deadline', 'system_name'];
+
+/**
+ * Compare a submitted value with the stored one
+ * PocketBase returns '' for empty fields and its own date format.
+ */
+function sameFieldValue(field, submitted, stored) {
+  if ((submitted ?? '') === (stored ?? '')) return true;
+  if (field === 'deadline' && submitted && stored) {
+    return Date.parse(submitted) === Date.parse(String(stored).replace(' ', 'T'));
+  }
+  return false;
+}
+
 /**
  * GET /api/tasks
  *
@@ -46,7 +80,8 @@ tasksRouter.get('/', async (c) => {
 /**
  * GET /api/tasks/my-court/:userId
  *
- * Get all tasks in a user's court (tasks they need to act on).
+ * Get all tasks in a user's court (tasks they need to act on), most
+ * pressing first: sorted by urgency_score (see tone-analyzer.js), then newest.
  */
 tasksRouter.get('/my-court/:userId', async (c) => {
   try {
@@ -174,41 +209,122 @@ tasksRouter.post('/', async (c) => {
  *   workspace: string
  *   sender: string
  *   rawInput: string (the original lob)
- *   parsedTasks: array (from lob parser)
+ *   parsedTasks: array (from lob parser, as edited by the user). A task with
+ *     attachTo: "existing_task_id" is not created - its rawChunk is added to
+ *     the existing task's thread instead (see duplicates)
+ *   originalTasks: array (optional - the parser's tasks before editing; differences
+ *     are learned as examples for future parses in the workspace)
+ *   timezone: string (optional - sender's timezone, for deadlines that are still phrases)
+ *   timestamp: string (optional - when the lob was sent, default now)
+ *   meta: object (optional - the parse response's meta; records which prompt version parsed it)
+ *   updates: array (optional - follow-ups from /api/lob/parse-enriched; each is applied to its
+ *     existing task: thread message, new deadline, answered missingInfo removed)
  * }
+ *
+ * Images: send multipart/form-data instead, with the body above as a JSON
+ * `data` field and the lob's images as files named by their ids ("image_1",
+ * the ids from the parse). Each task's images (parsedTasks[].images) are
+ * stored in its attachments - also for attachTo tasks and follow-ups, on
+ * the existing task.
+ *
+ * Each task keeps where it came from in the lob as source_span
+ * ({ span, match, audio }) - from the parser's span, spanMatch and
+ * audioSpan, or grounded here if the client didn't send them.
+ *
+ * The response lists likely duplicates of the new tasks among the
+ * workspace's open tasks:
+ *   duplicates: [{ position, matches: [{ taskId, summary, status, similarity, reasons }] }]
+ *   attached: [{ position, taskId }]
+ *   updated: [{ position, taskId }]
+ *
+ * Venting chunks don't become tasks. Each is stored as a vents record with
+ * an acknowledgment for the sender, and its context is added to related
+ * tasks' threads (see lib/venting.js and /api/venting):
+ *   venting: [{ id, position, acknowledgment, context, relatedTasks, hiddenTask }]
  */
 tasksRouter.post('/from-lob', async (c) => {
   try {
-    const body = await c.req.json();
-    const { workspace, sender, rawInput, parsedTasks } = body;
+    const { body, images } = await readFromLobRequest(c);
+    const { workspace, sender, rawInput, parsedTasks, originalTasks, timezone, timestamp, meta } = body;
+    const updates = body.updates ?? [];
 
     if (!workspace || !sender || !rawInput || !parsedTasks) {
       return c.json({ error: 'workspace, sender, rawInput, and parsedTasks are required' }, 400);
     }
+    if (!Array.isArray(parsedTasks) || parsedTasks.some(t => !t || typeof t !== 'object' || Array.isArray(t))) {
+      return c.json({ error: 'parsedTasks must be an array of task objects' }, 400);
+    }
+    if (!Array.isArray(updates)) {
+      return c.json({ error: 'updates must be an array' }, 400);
+    }
+
+    // Check attach targets before anything is written
+    for (const parsed of parsedTasks.filter(t => t.attachTo)) {
+      const target = await tasks.get(parsed.attachTo).catch(() => null);
+      if (!target || target.workspace !== workspace) {
+        return c.json({ error: `attachTo task not found in this workspace: ${parsed.attachTo}` }, 400);
+      }
+    }
+    for (const update of updates) {
+      const target = await tasks.get(update?.taskId).catch(() => null);
+      if (!target || target.workspace !== workspace) {
+        return c.json({ error: `Follow-up task not found in this workspace: ${update?.taskId}` }, 400);
+      }
+    }
+
+    // Compare against open tasks before the new ones exist
+    const openTasks = await listOpenTasks(workspace).catch(err => {
+      console.error('Failed to load open tasks for duplicate check:', err);
+      return [];
+    });
+    const duplicates = findDuplicates(parsedTasks.filter(t => !t.attachTo), openTasks);
 
     // Create lob session first
     const lobSession = await lobSessions.create({
       workspace,
       sender,
       raw_input: rawInput,
+      prompt_version: meta?.prompt?.version || '',
+      prompt_experiment: meta?.prompt?.experiment?.name || '',
     });
 
     // Create tasks from parsed lob
     const createdTasks = [];
+    const attached = [];
     for (const parsed of parsedTasks) {
-      // Skip venting - just acknowledge, don't create task
+      // Venting isn't a task - it's stored below
       if (parsed.classification === 'venting') {
         continue;
       }
 
+      // Same issue lobbed again - add it to the existing task's thread
+      if (parsed.attachTo) {
+        await threads.addMessage(parsed.attachTo, sender, 'user', parsed.rawChunk || parsed.summary);
+        await attachImages(parsed.attachTo, parsed, images);
+        attached.push({ position: parsed.position, taskId: parsed.attachTo });
+        continue;
+      }
+
+      // Older clients don't send spans - ground the chunk here
+      const { span, spanMatch, audioSpan } = parsed.spanMatch ? parsed : groundTask(parsed, rawInput);
+
       const taskData = {
         workspace,
         sender,
         raw_input: parsed.rawChunk,
+        source_span: { span: span || null, match: spanMatch, audio: audioSpan || null },
         summary: parsed.summary,
+        language: parsed.language || '',
+        original: parsed.original || null,
         classification: parsed.classification,
         urgency: parsed.urgency,
-        deadline: parsed.deadline ? new Date(parsed.deadline).toISOString() : null,
+        urgency_score: parsed.urgencyScore ?? legacyUrgencyScore(parsed.urgency),
+        tone: parsed.tone || null,
+        // Parser output is already normalized; older clients may still send "Monday"
+        deadline: normalizeDeadline(parsed.deadline, {
+          timezone,
+          referenceDate: timestamp || new Date(),
+        })?.iso || null,
         system_name: parsed.system,
         missing_info: parsed.missingInfo || [],
         lob_session: lobSession.id,
@@ -223,16 +339,178 @@ tasksRouter.post('/from-lob', async (c) => {
       }
 
       const task = await tasks.create(taskData);
-      createdTasks.push(task);
+      createdTasks.push(await attachImages(task.id, parsed, images) || task);
     }
 
+    // Follow-ups go to the tasks they're about
+    const updated = [];
+    for (const update of updates) {
+      await applyFollowUp(update, { sender, timezone, referenceDate: timestamp || new Date() });
+      await attachImages(update.taskId, update, images);
+      updated.push({ position: update.position, taskId: update.taskId });
+    }
+
+    // Acknowledge venting and attach its context to related tasks
+    const venting = await storeLobVenting(c, parsedTasks.filter(t => t.classification === 'venting'), {
+      workspace,
+      sender,
+      lobSession: lobSession.id,
+      candidates: [...createdTasks, ...openTasks],
+    }).catch(err => {
+      console.error('Failed to store venting:', err);
+      return [];
+    });
+
+    // Learn from the user's corrections - a failure here shouldn't lose the tasks
+    const learnedExample = await captureCorrection({
+      workspace,
+      lobSession: lobSession.id,
+      rawInput,
+      originalTasks,
+      parsedTasks,
+    }).catch(err => {
+      console.error('Failed to store parse example:', err);
+      return null;
+    });
+
     return c.json({
       lobSession,
       tasks: createdTasks,
+      attached,
+      updated,
+      duplicates,
+      learnedExample: learnedExample ? { id: learnedExample.id, changes: learnedExample.changes } : null,
+      venting,
       ventingAcknowledged: parsedTasks.filter(t => t.classification === 'venting').length,
     }, 201);
   } catch (error) {
     console.error('Create from lob error:', error);
+    if (error instanceof ImageAttachmentError || error instanceof FormFieldError) {
+      return c.json({ error: error.message }, 400);
+    }
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * Read a from-lob request: a JSON body, or multipart/form-data with the
+ * body in a JSON `data` field and images as files named by image id
+ * @returns {Promise<{body: object, images: Map<string, File>}>}
+ * @throws {FormFieldError} When `data` isn't a JSON object
+ */
+async function readFromLobRequest(c) {
+  if (!(c.req.header('Content-Type') || '').includes('multipart/form-data')) {
+    return { body: await c.req.json(), images: new Map() };
+  }
+
+  const formData = await c.req.formData();
+  const images = new Map();
+  for (const [name, value] of formData) {
+    if (name === 'data') continue;
+    validateImageFile(value);
+    images.set(name, value);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(formData.get('data') || '{}');
+  } catch (error) {
+    throw new FormFieldError(`data is not valid JSON: ${error.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new FormFieldError('data must be a JSON object');
+  }
+
+  return { body, images };
+}
+
+/**
+ * Store a parsed task's images on a task
+ * @returns {Promise<object|null>} The updated task, or null if there was nothing to attach
+ */
+async function attachImages(taskId, parsed, images) {
+  const files = (parsed.images || []).map(id => images.get(id)).filter(Boolean);
+  return files.length ? tasks.addAttachments(taskId, files) : null;
+}
+
+/**
+ * Store a lob's venting chunks as vents records (see lib/venting.js)
+ * Over the AI budget, or if the model fails, the parser's ventingResponse
+ * is kept as the acknowledgment and no context is attached.
+ *
+ * @returns {Promise<Array<{id, position, acknowledgment, context, relatedTasks, hiddenTask}>>}
+ */
+async function storeLobVenting(c, ventItems, { workspace, sender, lobSession, candidates }) {
+  if (ventItems.length === 0) return [];
+
+  const workspaceRecord = await workspaces.find(workspace);
+  const stored = [];
+
+  for (const vent of ventItems) {
+    let result = null;
+    const budget = await checkBudget({ workspaceRecord, workspaceId: workspace, sender });
+    if (budget.allowed) {
+      result = await acknowledgeVent(vent, {
+        candidates: relatedTaskCandidates(vent, candidates),
+        workspace: workspaceRecord?.id,
+        routes: workspaceRecord?.ai_routes,
+        outputLanguage: workspaceRecord?.language,
+      }).catch(err => {
+        console.error('Failed to acknowledge venting:', err);
+        return null;
+      });
+    }
+    if (result) await trackUsage({ workspace: workspaceRecord?.id, endpoint: c.req.path, sender }, result.meta);
+
+    const record = await storeVent(vent, result, { workspace, sender, lobSession });
+    stored.push({
+      id: record.id,
+      position: vent.position,
+      acknowledgment: record.acknowledgment,
+      context: record.context,
+      relatedTasks: record.related_tasks,
+      hiddenTask: record.hidden_task,
+    });
+  }
+
+  return stored;
+}
+
+/**
+ * POST /api/tasks/duplicates
+ *
+ * Check parsed tasks for likely duplicates among the workspace's open
+ * tasks without creating anything (e.g. after /api/lob/parse, before
+ * the user confirms). Matches can then be attached with from-lob's attachTo.
+ *
+ * Body:
+ * {
+ *   workspace: string (required)
+ *   parsedTasks: array (required - from the lob parser)
+ *   entities: array (optional - the lob's entities; date mentions are ignored)
+ * }
+ *
+ * Returns:
+ * {
+ *   duplicates: [{
+ *     position: 1,
+ *     matches: [{ taskId, summary, status, systemName, similarity: 0.78,
+ *                 reasons: ["summary overlap 63%", "same system (WordPress)"] }]
+ *   }]
+ * }
+ */
+tasksRouter.post('/duplicates', async (c) => {
+  try {
+    const { workspace, parsedTasks, entities } = await c.req.json();
+
+    if (!workspace || !Array.isArray(parsedTasks)) {
+      return c.json({ error: 'workspace and parsedTasks are required' }, 400);
+    }
+
+    const openTasks = await listOpenTasks(workspace);
+    return c.json({ duplicates: findDuplicates(parsedTasks, openTasks, entities || []) });
+  } catch (error) {
+    console.error('Duplicate check error:', error);
     return c.json({ error: error.message }, 500);
   }
 });
@@ -241,12 +519,25 @@ tasksRouter.post('/from-lob', async (c) => {
  * PATCH /api/tasks/:id
  *
  * Update a task.
+ *
+ * Changes to fields the parser produced count as corrections of the
+ * parse (edit_count / edited_fields), so prompt versions can be compared
+ * by how often their output had to be fixed (GET /api/prompts/report).
  */
 tasksRouter.patch('/:id', async (c) => {
   try {
     const id = c.req.param('id');
     const body = await c.req.json();
 
+    const existing = await tasks.get(id);
+    const corrected = PARSED_FIELDS.filter(field =>
+      field in body && !sameFieldValue(field, body[field], existing[field])
+    );
+    if (existing.lob_session && corrected.length > 0) {
+      body.edit_count = (existing.edit_count || 0) + 1;
+      body.edited_fields = [...new Set([...(existing.edited_fields || []), ...corrected])];
+    }
+
     const task = await tasks.update(id, body);
     return c.json(task);
   } catch (error) {
@@ -360,6 +651,237 @@ tasksRouter.post('/:id/complete', async (c) => {
   }
 });
 
+/**
+ * A score for tasks from older clients, which send urgency without urgencyScore,
+ * so they sort among scored tasks by what they were marked
+ */
+function legacyUrgencyScore(urgency) {
+  return urgency === 'urgent' ? resolveUrgencyThresholds().urgent : 0;
+}
+
+/**
+ * Load a task's workspace and check the AI budget against it
+ * The workspace comes from the stored task, so the budget guard can't see it.
+ * @returns {Promise<object|null|Response>} The workspace record, or a 429 response
+ */
+async function workspaceRecordWithinBudget(c, task) {
+  const workspaceRecord = await workspaces.find(task.workspace);
+
+  let budget;
+  try {
+    budget = await checkBudget({ workspaceRecord, workspaceId: task.workspace });
+  } catch (error) {
+    // Same as the guard: an accounting outage shouldn't block the request
+    console.error('Budget check failed, allowing request:', error);
+    return workspaceRecord;
+  }
+
+  return budgetExceededResponse(c, budget, task.workspace) || workspaceRecord;
+}
+
+/**
+ * POST /api/tasks/reclassify
+ *
+ * Reclassify a workspace's open tasks after the company brain has changed
+ * (new people, systems, routing patterns). Tasks are classified one at a
+ * time; if the AI budget runs out part way, the run stops and reports it.
+ *
+ * Body:
+ * {
+ *   workspace: string (required)
+ *   status: string (optional - only tasks with this status; default: all but done)
+ *   classification: string (optional - only tasks currently classified as this)
+ *   limit: number (optional - default 50, max 200)
+ *   dryRun: boolean (optional - report what would change without saving)
+ * }
+ *
+ * Returns:
+ * {
+ *   processed: 12,
+ *   changed: 3,
+ *   results: [{ id, previousClassification, classification, changed, suggestedRoute }],
+ *   errors: [{ id, error }],
+ *   stopped: null | { reason: "AI budget exceeded", scope, limit, retryAfter }
+ * }
+ */
+tasksRouter.post('/reclassify', async (c) => {
+  try {
+    const body = await c.req.json();
+    const { workspace, status, classification, dryRun } = body;
+
+    if (!workspace) {
+      return c.json({ error: 'workspace is required' }, 400);
+    }
+
+    let filter = `workspace = "${workspace}"`;
+    filter += status ? ` && status = "${status}"` : ' && status != "done"';
+    if (classification) filter += ` && classification = "${classification}"`;
+
+    const limit = Math.min(parseInt(body.limit) || 50, MAX_BULK_RECLASSIFY);
+    const candidates = (await tasks.listAll(filter)).slice(0, limit);
+
+    const workspaceRecord = await workspaces.find(workspace);
+    const context = await loadClassificationContext(workspace);
+
+    const results = [];
+    const errors = [];
+    let stopped = null;
+
+    for (const [i, task] of candidates.entries()) {
+      // The budget guard counted this request once; count each further model call
+      if (i > 0) {
+        const budget = await checkBudget({ workspaceRecord, workspaceId: workspace });
+        if (!budget.allowed) {
+          const { scope, limit: limitName, retryAfter } = budget.exceeded;
+          stopped = { reason: 'AI budget exceeded', scope, limit: limitName, retryAfter };
+          break;
+        }
+      }
+
+      try {
+        const result = await classifyTask(task, context, { routes: workspaceRecord?.ai_routes });
+        await trackUsage({ workspace: workspaceRecord?.id, endpoint: c.req.path }, result.meta);
+        if (!dryRun) await applyClassification(task, result);
+
+        results.push({
+          id: task.id,
+          previousClassification: result.previousClassification,
+          classification: result.classification,
+          changed: result.changed,
+          suggestedRoute: result.suggestedRoute,
+        });
+      } catch (error) {
+        // One bad task shouldn't stop the rest of the run
+        console.error(`Reclassify task ${task.id} error:`, error);
+        errors.push({ id: task.id, error: error.message });
+      }
+    }
+
+    return c.json({
+      processed: results.length,
+      changed: results.filter(result => result.changed).length,
+      dryRun: Boolean(dryRun),
+      results,
+      errors,
+      stopped,
+    });
+  } catch (error) {
+    console.error('Bulk reclassify error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/tasks/:id/reclassify
+ *
+ * Re-run classification for one task with the current company context
+ * (routing patterns, people, systems). Saves the new classification and
+ * suggested route on the task, and explains a change in the thread.
+ *
+ * Body (optional):
+ * {
+ *   dryRun: boolean (report the result without saving)
+ * }
+ *
+ * Returns:
+ * {
+ *   task: { ... },
+ *   previousClassification: "venting",
+ *   classification: "task",
+ *   changed: true,
+ *   suggestedRoute: { name: "Sarah", id: "brain_id", confidence: 0.85, reason: "Handles WordPress" } | null,
+ *   meta: { provider, model, usage, prompt }
+ * }
+ *
+ * Unknown task: 404. Over the task's workspace AI budget (workspaces.ai_limits): 429 with Retry-After.
+ */
+tasksRouter.post('/:id/reclassify', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const body = await c.req.json().catch(() => ({}));
+
+    const task = await tasks.get(id).catch(() => null);
+    if (!task) {
+      return c.json({ error: 'Task not found' }, 404);
+    }
+    const workspaceRecord = await workspaceRecordWithinBudget(c, task);
+    if (workspaceRecord instanceof Response) return workspaceRecord;
+    const context = await loadClassificationContext(task.workspace);
+
+    const result = await classifyTask(task, context, { routes: workspaceRecord?.ai_routes });
+    await trackUsage({ workspace: workspaceRecord?.id, endpoint: c.req.path }, result.meta);
+
+    const updated = body.dryRun ? task : await applyClassification(task, result);
+
+    return c.json({ task: updated, ...result });
+  } catch (error) {
+    console.error('Reclassify task error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * POST /api/tasks/:id/research
+ *
+ * Junior Researcher: for a vague task, draft an understanding and search
+ * queries, run them through the search adapter (SEARCH_PROVIDER), then
+ * revise the plan with the results. The research is stored in
+ * ai_research, the plan and the sources it cites in ai_suggested_plan,
+ * and any questions for the sender are posted to the thread.
+ *
+ * Returns:
+ * {
+ *   task: { ... },
+ *   research: {
+ *     understanding: "...",
+ *     searchQueries: ["wordpress notification plugin not sending"],
+ *     relatedResolutions: [...],
+ *     questionsForSender: ["Which notifications - email or push?"],
+ *     sources: [{ id: 1, query, title, url, snippet }],
+ *     searchProvider: "local"
+ *   },
+ *   plan: { steps: ["Check the SMTP plugin settings [1]", ...], sources: [{ id: 1, ... }] },
+ *   meta: { provider, model, usage, prompt, searches }
+ * }
+ *
+ * Unknown task: 404. Over the task's workspace AI budget (workspaces.ai_limits): 429 with Retry-After.
+ */
+tasksRouter.post('/:id/research', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const task = await tasks.get(id).catch(() => null);
+    if (!task) {
+      return c.json({ error: 'Task not found' }, 404);
+    }
+    const workspaceRecord = await workspaceRecordWithinBudget(c, task);
+    if (workspaceRecord instanceof Response) return workspaceRecord;
+
+    const { research, plan, meta } = await researchTask(task, {
+      routes: workspaceRecord?.ai_routes,
+      onCompletion: metadata => trackUsage({ workspace: workspaceRecord?.id, endpoint: c.req.path }, metadata),
+    });
+
+    const updated = await tasks.update(id, {
+      ai_research: research,
+      ai_suggested_plan: plan,
+    });
+
+    await threads.addSystemEvent(
+      id,
+      'research',
+      `Research plan drafted: ${plan.steps.length} steps, ${research.sources.length} sources (${research.searchProvider})`
+    );
+    for (const question of research.questionsForSender) {
+      await threads.addMessage(id, null, 'ai', question);
+    }
+
+    return c.json({ task: updated, research, plan, meta });
+  } catch (error) {
+    console.error('Research task error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
 /**
  * DELETE /api/tasks/:id
  *
@@ -0,0 +1,88 @@
+import { Hono } from 'hono';
+import { getUsageReport } from '../lib/usage-tracker.js';
+import { checkBudget, getLimits } from '../lib/ai-budget.js';
+import { workspaces } from '../lib/pocketbase.js';
+
+export const usageRouter = new Hono();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * GET /api/usage/:workspace
+ *
+ * What AI calls cost a workspace - tokens, audio seconds, latency and
+ * estimated cost, broken down by day, endpoint and provider/model.
+ * Use "default" for calls made without a workspace.
+ *
+ * Query params:
+ * - from: Start date (YYYY-MM-DD, default: `days` ago)
+ * - to: End date, inclusive (YYYY-MM-DD, default: today)
+ * - days: Range length when `from` is omitted (default 30)
+ *
+ * Returns:
+ * {
+ *   workspace: string,
+ *   from: string, to: string,
+ *   totals: { calls, inputTokens, outputTokens, audioSeconds, cost, avgLatencyMs },
+ *   daily: [{ date: "2026-01-05", calls, inputTokens, ... }],
+ *   byEndpoint: { "/api/lob/parse": { calls, ... } },
+ *   byModel: { "mistral/mistral-small-latest": { calls, ... } },
+ *   currency: "USD"
+ * }
+ */
+usageRouter.get('/:workspace', async (c) => {
+  try {
+    const workspace = c.req.param('workspace');
+    const { from, to, days } = c.req.query();
+
+    // `to` is inclusive, so the range ends at the start of the next day
+    const end = to ? new Date(new Date(to).getTime() + DAY_MS) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - (parseInt(days) || 30) * DAY_MS);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return c.json({ error: 'from and to must be dates (YYYY-MM-DD)' }, 400);
+    }
+    if (start >= end) {
+      return c.json({ error: 'from must be before to' }, 400);
+    }
+
+    const report = await getUsageReport(workspace, { from: start, to: end });
+    return c.json(report);
+  } catch (error) {
+    console.error('Usage report error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/usage/:workspace/budget
+ *
+ * Where a workspace (and optionally one sender) stands against its AI
+ * limits (workspaces.ai_limits). Doesn't count as a request.
+ *
+ * Query params:
+ * - sender: Include the sender's own limits
+ *
+ * Returns:
+ * {
+ *   workspace: string,
+ *   limits: { workspace: { requestsPerMinute, tokensPerDay, dollarsPerMonth }, sender: {...}, warnAt },
+ *   allowed: boolean,
+ *   exceeded: { scope, limit, used, max, retryAfter } | null,
+ *   warnings: ["workspace tokensPerDay at 85%"],
+ *   remaining: { workspace: { tokensPerDay: 300000, ... }, sender: {...} }
+ * }
+ */
+usageRouter.get('/:workspace/budget', async (c) => {
+  try {
+    const workspace = c.req.param('workspace');
+    const sender = c.req.query('sender');
+    const workspaceRecord = await workspaces.find(workspace);
+
+    const budget = await checkBudget({ workspaceRecord, workspaceId: workspace, sender, count: false });
+    return c.json({ workspace, limits: getLimits(workspaceRecord), ...budget });
+  } catch (error) {
+    console.error('Budget status error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
@@ -0,0 +1,136 @@
+import { Hono } from 'hono';
+import { vents, workspaces } from '../lib/pocketbase.js';
+import { promoteVent, ventingSignals } from '../lib/venting.js';
+import { resolveUrgencyThresholds } from '../lib/tone-analyzer.js';
+
+export const ventingRouter = new Hono();
+
+/**
+ * GET /api/venting
+ *
+ * List venting records (created by POST /api/tasks/from-lob), newest first.
+ *
+ * Query params:
+ * - workspace: Required workspace ID
+ * - sender: Filter by sender
+ * - status: Filter by status (open, promoted)
+ * - system: Filter by system_name
+ * - page: Page number (default 1)
+ * - perPage: Items per page (default 50)
+ */
+ventingRouter.get('/', async (c) => {
+  try {
+    const { workspace, sender, status, system, page, perPage } = c.req.query();
+
+    if (!workspace) {
+      return c.json({ error: 'workspace query param is required' }, 400);
+    }
+
+    let filter = `workspace = "${workspace}"`;
+    if (sender) filter += ` && sender = "${sender}"`;
+    if (status) filter += ` && status = "${status}"`;
+    if (system) filter += ` && system_name ~ "${system}"`;
+
+    const result = await vents.list({
+      filter,
+      sort: '-created',
+      page: parseInt(page) || 1,
+      perPage: parseInt(perPage) || 50,
+    });
+
+    return c.json(result);
+  } catch (error) {
+    console.error('List venting error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/venting/signals/:workspace
+ *
+ * Systems people keep venting about - repeated frustration that hasn't
+ * turned into a task yet is worth a look.
+ *
+ * Query params:
+ * - days: How far back to count (default VENTING_SIGNAL_DAYS, 30)
+ * - min: Vents about a system before it's listed (default VENTING_SIGNAL_MIN, 3)
+ *
+ * Returns:
+ * {
+ *   workspace: string,
+ *   signals: [{ system: "WordPress", count: 4, senders: 2, promoted: 1,
+ *               lastVentedAt: "...", recent: ["Contact form broke again", ...] }]
+ * }
+ */
+ventingRouter.get('/signals/:workspace', async (c) => {
+  try {
+    const workspace = c.req.param('workspace');
+    const { days, min } = c.req.query();
+
+    const signals = await ventingSignals(workspace, {
+      days: parseInt(days) || undefined,
+      minCount: parseInt(min) || undefined,
+    });
+
+    return c.json({ workspace, signals });
+  } catch (error) {
+    console.error('Venting signals error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/venting/:id
+ *
+ * Get a single venting record.
+ */
+ventingRouter.get('/:id', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const vent = await vents.get(id);
+    return c.json(vent);
+  } catch (error) {
+    console.error('Get venting error:', error);
+    return c.json({ error: error.message }, 404);
+  }
+});
+
+/**
+ * POST /api/venting/:id/promote
+ *
+ * Turn a venting record into a real task - for when the sender decides it
+ * was a task after all. Starts from the hidden task the AI found in it.
+ *
+ * Body (all optional):
+ * {
+ *   summary: string,
+ *   system_name: string,
+ *   urgency: "normal" | "urgent" | "deadline" (default: from the vent's tone score)
+ * }
+ *
+ * Returns: { task, vent } - 409 if it was already promoted
+ */
+ventingRouter.post('/:id/promote', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const body = await c.req.json().catch(() => ({}));
+
+    const vent = await vents.get(id).catch(() => null);
+    if (!vent) {
+      return c.json({ error: 'Venting record not found' }, 404);
+    }
+    if (vent.status === 'promoted') {
+      return c.json({ error: 'Already promoted', taskId: vent.promoted_task }, 409);
+    }
+
+    const workspaceRecord = await workspaces.find(vent.workspace);
+    const result = await promoteVent(vent, body, {
+      thresholds: resolveUrgencyThresholds(workspaceRecord?.urgency_thresholds),
+    });
+
+    return c.json(result, 201);
+  } catch (error) {
+    console.error('Promote venting error:', error);
+    return c.json({ error: error.message }, 500);
+  }
+});
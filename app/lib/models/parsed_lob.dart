@@ -206,6 +206,18 @@ class ParsedTask {
   final List<String>? selfServiceSteps;
   final String? ventingResponse;
 
+  /// Where rawChunk sits in the lob's rawInput: [start, end)
+  final List<int>? span;
+
+  /// exact, fuzzy (the model paraphrased) or ungrounded (not found)
+  final String? spanMatch;
+
+  /// Seconds into the recording, for transcribed lobs
+  final List<double>? audioSpan;
+
+  /// Ids of the lob's attached images about this task ("image_1", ...)
+  final List<String> images;
+
   /// User can edit before sending
   bool isSelected = true;
   String? editedSummary;
@@ -226,6 +238,10 @@ class ParsedTask {
     this.missingInfo = const [],
     this.selfServiceSteps,
     this.ventingResponse,
+    this.span,
+    this.spanMatch,
+    this.audioSpan,
+    this.images = const [],
   });
 
   factory ParsedTask.fromJson(Map<String, dynamic> json) {
@@ -244,9 +260,27 @@ class ParsedTask {
           ? List<String>.from(json['selfServiceSteps'])
           : null,
       ventingResponse: json['ventingResponse'],
+      span: json['span'] != null ? List<int>.from(json['span']) : null,
+      spanMatch: json['spanMatch'],
+      audioSpan: json['audioSpan'] != null
+          ? (json['audioSpan'] as List).map((t) => (t as num).toDouble()).toList()
+          : null,
+      images: List<String>.from(json['images'] ?? []),
     );
   }
 
+  /// Could the chunk be found in what was actually said?
+  bool get isGrounded => spanMatch != 'ungrounded';
+
+  /// The exact text this task came from, or rawChunk if it wasn't found
+  String sourceText(String rawInput) {
+    final range = span;
+    if (range == null || range.length != 2 || range[1] > rawInput.length) {
+      return rawChunk;
+    }
+    return rawInput.substring(range[0], range[1]);
+  }
+
   /// Has an assignee been identified?
   bool get hasAssignee => assignee != null && assignee!.isNotEmpty;
 
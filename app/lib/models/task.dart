@@ -6,6 +6,8 @@ class Task {
   final int? positionInLob;
   final TaskClassification classification;
   final TaskUrgency urgency;
+  final double urgencyScore;
+  final Map<String, dynamic>? tone;
   final DateTime? deadline;
   final String? systemName;
   final String summary;
@@ -32,6 +34,8 @@ class Task {
     this.positionInLob,
     required this.classification,
     required this.urgency,
+    this.urgencyScore = 0,
+    this.tone,
     this.deadline,
     this.systemName,
     required this.summary,
@@ -60,6 +64,8 @@ class Task {
       positionInLob: json['position_in_lob'],
       classification: TaskClassification.fromString(json['classification']),
       urgency: TaskUrgency.fromString(json['urgency']),
+      urgencyScore: (json['urgency_score'] as num?)?.toDouble() ?? 0,
+      tone: json['tone'],
       deadline: json['deadline'] != null ? DateTime.parse(json['deadline']) : null,
       systemName: json['system_name'],
       summary: json['summary'],
@@ -89,6 +95,8 @@ class Task {
       'position_in_lob': positionInLob,
       'classification': classification.value,
       'urgency': urgency.value,
+      'urgency_score': urgencyScore,
+      'tone': tone,
       'deadline': deadline?.toIso8601String(),
       'system_name': systemName,
       'summary': summary,
@@ -123,6 +131,11 @@ class Task {
 
   /// Does this need more info?
   bool get needsMoreInfo => missingInfo.isNotEmpty;
+
+  /// What in the lob's tone drove the urgency score
+  List<String> get urgencySignals => List<Map<String, dynamic>>.from(
+        tone?['signals'] ?? [],
+      ).map((s) => s['signal'] as String).toList();
 }
 
 enum TaskClassification {
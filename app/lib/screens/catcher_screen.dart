@@ -507,6 +507,7 @@ class _CatcherScreenState extends ConsumerState<CatcherScreen>
             itemBuilder: (context, index) {
               return ParsedLobCard(
                 task: parsedLob.parsedTasks[index],
+                rawInput: parsedLob.rawInput,
                 onToggle: (selected) {
                   setState(() {
                     parsedLob.parsedTasks[index].isSelected = selected;
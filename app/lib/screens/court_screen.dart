@@ -71,6 +71,10 @@ class CourtScreen extends ConsumerWidget {
   }
 
   Widget _buildTaskList(BuildContext context, List<Task> tasks) {
+    // Most pressing first within each group
+    tasks = [...tasks]
+      ..sort((a, b) => b.urgencyScore.compareTo(a.urgencyScore));
+
     // Group by urgency
     final urgent = tasks.where((t) => t.urgency == TaskUrgency.urgent).toList();
     final deadline =
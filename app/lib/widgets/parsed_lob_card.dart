@@ -7,10 +7,14 @@ class ParsedLobCard extends StatelessWidget {
   final ParsedTask task;
   final Function(bool)? onToggle;
 
+  /// The whole lob, to show exactly what this task came from
+  final String? rawInput;
+
   const ParsedLobCard({
     super.key,
     required this.task,
     this.onToggle,
+    this.rawInput,
   });
 
   @override
@@ -246,10 +250,32 @@ class ParsedLobCard extends StatelessWidget {
                       borderRadius: BorderRadius.circular(4),
                     ),
                     child: Text(
-                      task.rawChunk,
+                      rawInput != null ? task.sourceText(rawInput!) : task.rawChunk,
                       style: Theme.of(context).textTheme.bodySmall,
                     ),
                   ),
+                  if (task.spanMatch == 'fuzzy' || !task.isGrounded)
+                    Padding(
+                      padding: const EdgeInsets.only(top: 4),
+                      child: Row(
+                        children: [
+                          Icon(
+                            task.isGrounded ? Icons.info_outline : Icons.warning_amber,
+                            size: 14,
+                            color: task.isGrounded ? Colors.grey : Colors.orange,
+                          ),
+                          const SizedBox(width: 4),
+                          Expanded(
+                            child: Text(
+                              task.isGrounded
+                                  ? 'Closest match in what you said'
+                                  : "Couldn't find this in what you said - double-check it",
+                              style: Theme.of(context).textTheme.bodySmall,
+                            ),
+                          ),
+                        ],
+                      ),
+                    ),
                 ],
               ),
             ],
@@ -284,6 +284,15 @@ class TaskCard extends StatelessWidget {
                 ],
               ),
 
+              if (task.urgencySignals.isNotEmpty) ...[
+                const SizedBox(height: 16),
+                _buildSection(
+                  context,
+                  'Why This Is Pressing',
+                  task.urgencySignals.join(' · '),
+                ),
+              ],
+
               if (task.currentState != null) ...[
                 const SizedBox(height: 24),
                 _buildSection(context, 'Current State', task.currentState!),